@@ -29,48 +29,664 @@ Plan Notes:
 
 	// DOM class constants
 	const LOADING_CLASS = '#loading'; // Gmail loading class, used to detect when we can initialize our bundlizer
-	const ALL_EMAIL_TABLE_CLASS = '.aeF'; // All emails, even hidden email lists from opening labels/etc
-	const VISIBLE_EMAIL_TABLE_CLASS = '.BltHke[role=main] .F > tbody:not(:empty)'; // Contains email list of all visible emails, `.BltHke` can exist more than once per folder/label opened, `role=main` only gets visible one
-	const EMAIL_CLASS = '.zA'; // Single email row in list
-	const EMAIL_DEFAULT_DISPLAY = 'flex'; // CSS property used when making an email visible again after hiding it.
-	const EMAIL_LABEL_WRAPPER_CLASS = '.at'; // Class containing text and background color of label of single email row, one element per label
-	const EMAIL_LABEL_CLASS = '.av'; // Used to label email text color
-
-	// DOM class constants used by bundle template HTML
-	const EMAIL_UNREAD_CLASS = 'zE'; // .zE is applied to the email class .zA only if it's an unread email
-	const EMAIL_SENDER_CLASS = '.yW'; // Class containing sender name and attributes related to sender. `.yP` is the sender class, `.yW` is visible text only.
-	const EMAIL_SENDER_WRAPPER_CLASS = '.bA4'; // Class wrapping sender class, used to style bundle name, and also to get recent senders
-	const EMAIL_SUBJECT_CLASS = '.bog'; // Class containing email subject
-	const EMAIL_SENT_DATE_CLASS = '.xW span span'; // Class containing email sent date to the right of email attachment icon
-	const REMOVED_CLASSES = {
-		EMAIL_THREAD_COUNT: '.bx0', // The number of messages in the email thread
-		IMPORTANT_TAG_CLASS: '.pG', // The important arrow to the left of the email sender
-		HIDDEN_SENDER_CLASS: '.afn', // Class containing hidden text about the email sender
-		LABEL_CLASS: '.yi', // Class containing labels to the left of email subject
-		EMAIL_DESC_CLASS: '.y2', // Class containing description to the right of email subject
-		EMAIL_ATTACHMENT_CLASS: '.yf', // Class containing attachment icon or nothing. To the right of email description.
-		EMAIL_STAR_CLASS: '.aXw', // Class containing pin to the right of email sent date
-		EMAIL_TOOLBAR_CLASS: '.bq4', // Class containing on-hover actions of email
-		CHECKBOX_CLASS: '.oZ-jc', // The checkbox to the left of the email sender
+
+	// Selector scopes, see SELECTORS
+	const SELECTOR_SCOPES = {
+		DOCUMENT: 'document', // Matched against the whole document
+		EMAIL: 'email', // Matched against the email rows of the visible email list
+		ROW: 'row', // Matched against the email rows themselves, i.e. states Gmail applies to the email row
+	};
+
+	// Gmail DOM selectors. Gmail's class names are obfuscated and change between Gmail builds,
+	//  so every selector has fallback candidates in order of preference: class, then role/aria, then structural.
+	// On startup, checkSelectors resolves each selector to its first candidate matching the current Gmail layout into `selectors`.
+	//  If a required selector has no match, bundling is disabled rather than leaving a half-broken UI.
+	// Candidates must be simple selectors without commas, as they're combined with other selectors, e.g. `${selectors.EMAIL}:not(...)`
+	const SELECTORS = {
+		ALL_EMAIL_TABLE: { // All emails, even hidden email lists from opening labels/etc. Structurally, the parent of the visible email list.
+			candidates: ['.aeF', '.bkK', 'div:has(> [role=main])'],
+			scope: SELECTOR_SCOPES.DOCUMENT,
+			isRequired: true,
+		},
+		VISIBLE_EMAIL_TABLE: { // Contains email list of all visible emails, `.BltHke` can exist more than once per folder/label opened, `role=main` only gets visible one
+			candidates: ['.BltHke[role=main] .F > tbody:not(:empty)', '[role=main] table[role=grid] > tbody:not(:empty)', '[role=main] table > tbody:not(:empty)'],
+			scope: SELECTOR_SCOPES.DOCUMENT,
+			isRequired: true,
+		},
+		EMAIL: { // Single email row in list
+			candidates: ['.zA', 'tr[role=row]', 'tr[draggable]'],
+			scope: SELECTOR_SCOPES.DOCUMENT,
+			isRequired: true,
+		},
+		// Email states aren't applied to every email row, so they're optional, but every email row is either read or unread, see checkSelectors
+		EMAIL_UNREAD: { // Applied to the email row of unread emails
+			candidates: ['.zE'],
+			scope: SELECTOR_SCOPES.ROW,
+			isRequired: false,
+		},
+		EMAIL_READ: { // Applied to the email row of read emails, only used to check EMAIL_UNREAD
+			candidates: ['.yO'],
+			scope: SELECTOR_SCOPES.ROW,
+			isRequired: false,
+		},
+		EMAIL_SELECTED: { // Applied to the email row while the email is selected
+			candidates: ['.x7'],
+			scope: SELECTOR_SCOPES.ROW,
+			isRequired: false,
+		},
+		EMAIL_KEYBOARD_CURSOR: { // Applied to the email row Gmail's keyboard cursor is on
+			candidates: ['.btb'],
+			scope: SELECTOR_SCOPES.ROW,
+			isRequired: false,
+		},
+		EMAIL_SENDER: { // Class containing sender name and attributes related to sender. `.yP` is the sender class, `.yW` is visible text only.
+			candidates: ['.yW', 'td > div:first-child > span[email]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: true,
+		},
+		EMAIL_SENDER_WRAPPER: { // Class wrapping sender class, used to style bundle name, and also to get recent senders
+			candidates: ['.bA4', '.yW > span', 'span[email]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: true,
+		},
+		EMAIL_SENDER_NAME: { // A single sender's name, `.yP` for named senders and `.zF` for `me`/nameless ones. Its styles are copied onto the bundle name.
+			candidates: ['.yP', '.zF', 'span[email]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: true,
+		},
+		EMAIL_SUBJECT: { // Class containing email subject
+			candidates: ['.bog', '.y6 > span:first-child', '[role=link] span:first-child'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: true,
+		},
+		EMAIL_SENT_DATE: { // Class containing email sent date to the right of email attachment icon
+			candidates: ['.xW span span', 'td:last-of-type span[title] > span', 'span[title] > span'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: true,
+		},
+		// Emails don't necessarily have labels, attachments or checkboxes, so the selectors below are optional
+		EMAIL_SNIPPET: { // Class containing the start of the email body to the right of the email subject
+			candidates: ['.y2'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_THREAD_ID: { // Element carrying the email's thread ID, used to remember pinned threads
+			candidates: ['[data-thread-id]', '[data-legacy-thread-id]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_MESSAGE_ID: { // Element carrying the hex ID of the thread's latest message, which encodes its sent time regardless of the Gmail language
+			candidates: ['[data-legacy-last-message-id]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_SENT_TIME: { // Element whose title is the full email sent date & time, e.g. `Mon, Oct 19, 2026, 9:42 AM`, only parsable in English
+			candidates: ['.xW span[title]', 'td:last-of-type span[title]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_LABEL_WRAPPER: { // Class containing text and background color of label of single email row, one element per label
+			candidates: ['.at', '[role=button][title][style*="background-color"]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_LABEL: { // Used to label email text color
+			candidates: ['.av', '[style*="background-color"] > [style*="color"]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_ATTACHMENT_ICON: { // Only exists if email has an attachment
+			candidates: ['.yf img', 'img[alt="Attachment"]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_STARRED: { // Only exists if email is starred
+			candidates: ['.T-KT-Jp', '[aria-label="Starred"]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_IMPORTANT: { // Only exists if email is marked important
+			candidates: ['.pG.pH', '[aria-label^="Important"]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_CHECKBOX: { // Gmail's own selection checkbox of an email, `aria-checked` reflects its state
+			candidates: ['.oZ-jc', '[role=checkbox]'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		// Parts of an email row removed from the bundle template, see TEMPLATE_REMOVED_SELECTOR_KEYS
+		EMAIL_THREAD_COUNT: { // The number of messages in the email thread
+			candidates: ['.bx0'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_IMPORTANT_MARKER: { // The important arrow to the left of the email sender
+			candidates: ['.pG'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_HIDDEN_SENDER: { // Class containing hidden text about the email sender
+			candidates: ['.afn'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_LABELS: { // Class containing labels to the left of email subject
+			candidates: ['.yi'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_ATTACHMENT: { // Class containing attachment icon or nothing. To the right of email description.
+			candidates: ['.yf'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_STAR: { // Class containing the star to the left of the email sender
+			candidates: ['.aXw'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		EMAIL_HOVER_ACTIONS: { // Class containing on-hover actions of email
+			candidates: ['.bq4'],
+			scope: SELECTOR_SCOPES.EMAIL,
+			isRequired: false,
+		},
+		TOOLBAR: { // Gmail's toolbar above the email list, exists once per email list, only one is visible at a time
+			candidates: ['[gh=tm]', '[role=toolbar]'],
+			scope: SELECTOR_SCOPES.DOCUMENT,
+			isRequired: false,
+		},
+	};
+	const LAYOUT_PROBE_SELECTOR = '[role=main] table'; // Structural check for an email list having loaded, to know when we can check SELECTORS
+	const LAYOUT_CHANGED_BANNER_ID = '_js-bundles-layout-changed-banner';
+
+	// Layout statuses, see checkLayout
+	const LAYOUT_STATUSES = {
+		UNCHECKED: 'unchecked', // No email list with emails has loaded yet to check our selectors against, e.g. the inbox is empty
+		SUPPORTED: 'supported', // Every required selector matched
+		CHANGED: 'changed', // A required selector didn't match, bundling is disabled
 	};
 
+	// SELECTORS resolved to the candidate matching the current Gmail layout, initially their first candidate. See checkSelectors.
+	const selectors = {};
+	Object.keys(SELECTORS).forEach((key) => {
+		selectors[key] = SELECTORS[key].candidates[0];
+	});
+
+	// SELECTORS of email row parts removed from the bundle template
+	const TEMPLATE_REMOVED_SELECTOR_KEYS = [
+		'EMAIL_THREAD_COUNT',
+		'EMAIL_IMPORTANT_MARKER',
+		'EMAIL_HIDDEN_SENDER',
+		'EMAIL_LABELS',
+		'EMAIL_SNIPPET',
+		'EMAIL_ATTACHMENT',
+		'EMAIL_STAR',
+		'EMAIL_HOVER_ACTIONS',
+		'EMAIL_CHECKBOX',
+	];
+
 	// Bundle class constants used by our JS
 	const BUNDLE_CLASS_PREFIX = '_js-bundle'; // Used as prefix to individual bundle elements
-	const HIDDEN_EMAIL_CLASS = '_js-hidden-email'; // Used to specify that an individual email has been hidden from the DOM
+	const HIDDEN_EMAIL_CLASS = '_js-hidden-email'; // Used to specify that an individual email has been hidden from the DOM, see insertStylesheet
+	const HIDDEN_BUNDLE_CLASS = '_js-hidden-bundle'; // Class of sub-bundles hidden while their parent bundle is closed
 	const IS_BUNDLED_CLASS = '_js-is-bundled'; // Class denoting whether an individual email is part of a bundle or not
-	const EMAIL_SENDERS_SEPARATOR = '&nbsp;&nbsp;|&nbsp;&nbsp;'; // Used as separator of email senders in the bundle description
 	const UNICODE_NBSP = '\u00A0';
-	const MAX_SENDERS_BUNDLE_DESC = 3; // Max email senders to display as bundle description
+	const EMAIL_SENDERS_SEPARATOR = `${UNICODE_NBSP}${UNICODE_NBSP}|${UNICODE_NBSP}${UNICODE_NBSP}`; // Used as separator of email senders in the bundle description
+	const EMAIL_DATE_RANGE_SEPARATOR = ' \u2013 '; // Used as separator of the newest and oldest email dates in the bundle date
+	// Markers shown next to the bundle date if any email in the bundle has them, in place of the email markers removed from the bundle template
+	const BUNDLE_MARKERS = {
+		ATTACHMENT: { icon: '\u{1F4CE}', title: 'Has attachments', selectorKey: 'EMAIL_ATTACHMENT_ICON' },
+		STARRED: { icon: '\u2605', title: 'Has starred emails', color: 'rgb(244, 180, 0)', selectorKey: 'EMAIL_STARRED' },
+		IMPORTANT: { icon: '\u00BB', title: 'Has important emails', color: 'rgb(244, 180, 0)', selectorKey: 'EMAIL_IMPORTANT' },
+	};
+	const MAX_SENDERS_BUNDLE_DESC = 3; // Default max email senders to display as bundle description, see the `maxSenders` setting
 	const BUNDLE_UPDATE_DELAY = 100; // The minimum amount of time, in milliseconds, to potentially runBundlizer if there's a DOM mutation; this is the debounce delay
+	const INLINE_EMAIL_CLASS = '_js-inline-email'; // Class denoting an email of a bundle expanded in place, see BUNDLE_OPEN_MODES
+	const INLINE_HEADER_CLASS = '_js-bundle-inline-header'; // Header above the emails of a bundle expanded in place, containing its collapse control
+	const INLINE_COLLAPSE_CLASS = '_js-bundle-inline-collapse'; // Collapse control in the header of a bundle expanded in place
+	const INLINE_EMAIL_INDENT = '24px'; // Indentation of emails expanded in place, setting them apart from the rest of the email list
+	const PINNED_EMAIL_CLASS = '_js-pinned-email'; // Class denoting a pinned email, which stays visible even though it's bundled
+	const PIN_CONTROL_CLASS = '_js-pin-control'; // Class of the pin control we add to every email
+	const OWN_EMAIL_CLASSES = [HIDDEN_EMAIL_CLASS, IS_BUNDLED_CLASS, INLINE_EMAIL_CLASS, PINNED_EMAIL_CLASS]; // Classes we apply to emails, changes to these are never a reason to rebundle
+	// Options of the mutation observer watching all email lists. Email class changes are observed to catch emails being read/unread.
+	const BUNDLIZER_OBSERVER_OPTIONS = { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['class'], attributeOldValue: true };
+	const EMAIL_SENDER_ADDRESS_ATTRIBUTE = 'email'; // Attribute on sender spans containing the sender's email address
+	const DEFAULT_BUNDLE_BG_COLOR = 'rgb(221, 221, 221)'; // Bundle name background color for bundles not tied to a label, e.g. rule bundles
+	const DEFAULT_BUNDLE_TEXT_COLOR = 'rgb(85, 85, 85)'; // Bundle name text color for bundles not tied to a label
+	const MIN_BUNDLE_NAME_CONTRAST = 4.5; // Minimum contrast ratio of label & rule colors, below which the bundle name text is made black or white, see getReadableTextColor
+
+	// Stylesheet constants, see insertStylesheet
+	//  Bundles are styled by our stylesheet rather than inline styles, so they follow Gmail's density & theme as they change
+	const STYLESHEET_ID = '_js-bundles-stylesheet';
+	const DARK_THEME_CLASS = '_js-bundles-dark-theme'; // Applied to the document element while Gmail uses a dark or dark custom theme, see syncListStyles
+	const ROW_HEIGHT_PROPERTY = '--_js-bundles-row-height'; // Height of Gmail's email rows, which depends on the display density
+	const CHECKBOX_CELL_WIDTH_PROPERTY = '--_js-bundles-checkbox-cell-width'; // Width of Gmail's checkbox cell, keeping bundle names aligned with email senders
+
+	// Bundling modes, see the `bundleMode` setting
+	const BUNDLE_MODES = {
+		LABELS: 'labels', // Bundle emails by their visible labels only
+		RULES: 'rules', // Bundle emails by BUNDLE_RULES only
+		BOTH: 'both', // Bundle emails by their labels and by BUNDLE_RULES
+	};
+	const DEFAULT_BUNDLE_MODE = BUNDLE_MODES.BOTH;
+
+	// Bundle ordering modes, see the `bundleOrderMode` setting
+	const BUNDLE_ORDER_MODES = {
+		NEWEST: 'newest', // Bundles are placed in the position of their most recent email
+		CUSTOM: 'custom', // Bundles are grouped at the top of the email list, in the order of the `bundleOrder` setting
+	};
+
+	// Bundle opening modes, see the `openMode` setting
+	const BUNDLE_OPEN_MODES = {
+		FOCUS: 'focus', // One bundle is open at a time, and opening it hides every email except the bundled emails
+		INLINE: 'inline', // Bundles expand in place, showing their emails where they are in the email list and leaving the rest of it visible. Several bundles can be open at once.
+	};
+
+	// Bundle delivery frequencies, see the `delivery` bundle preference
+	//  Emails of scheduled bundles are held back until the bundle's next scheduled delivery, and the bundle only appears once delivered
+	const DELIVERY_FREQUENCIES = {
+		IMMEDIATELY: 'immediately', // Emails are bundled as they arrive
+		DAILY: 'daily', // Delivered every day at the bundle's delivery `time`
+		WEEKLY: 'weekly', // Delivered every week on the bundle's delivery `day`, at its delivery `time`
+	};
+	const DEFAULT_DELIVERY_TIME = '08:00'; // HH:MM
+	const DELIVERY_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']; // Indexed by `Date.getDay`
+	const DELIVERY_CHECK_INTERVAL = 60 * 1000; // Time, in milliseconds, between checks for scheduled bundles due for delivery
+	const MESSAGE_ID_TIME_SHIFT = 2 ** 20; // Gmail message IDs are the sent timestamp, in milliseconds, followed by 20 bits
+
+	// Bundle notification policies for new unread emails joining a bundle, see the `notification` bundle preference
+	const NOTIFICATION_POLICIES = {
+		NOTIFY: 'notify', // Show a desktop notification, and count the bundle's unread emails in the tab title & favicon
+		BADGE: 'badge', // Only count the bundle's unread emails in the tab title & favicon
+		MUTE: 'mute', // Neither notify of nor count the bundle's unread emails
+	};
+	const DEFAULT_NOTIFICATION_POLICY = NOTIFICATION_POLICIES.BADGE; // Used by bundles without a notification policy, unless they're a sub-bundle inheriting their parent's
+	const NOTIFICATION_POLICY_NAMES = { notify: 'Notify', badge: 'Badge only', mute: 'Mute' };
+	const GMAIL_TITLE_COUNT_PATTERN = /\s\((\d[\d,.\s]*)\)/; // Gmail's own unread count in the tab title, e.g. ` (1,234)` in `Inbox (1,234) - ...`, muted emails are taken off it
+	const FAVICON_SELECTOR = 'link[rel~="icon"]';
+	const FAVICON_SIZE = 32; // Size, in pixels, of the favicon we draw the unread count onto
+	const FAVICON_BADGE_COLOR = 'rgb(217, 48, 37)';
+	const MAX_FAVICON_BADGE_COUNT = 99; // Higher unread counts are shown as `99+` in the favicon
+
+	// Nested bundle constants, see the `hierarchicalBundles` setting
+	const BUNDLE_HIERARCHY_SEPARATOR = '/'; // Separates parent & child label names, e.g. `Work/Project-A`
+	const SUB_BUNDLE_INDENT = 24; // Indentation, in pixels, of sub-bundles per nesting level
+
+	// Policies for emails matching multiple bundles, e.g. emails with multiple labels, see the `multipleLabelsPolicy` setting
+	const MULTIPLE_LABELS_POLICIES = {
+		ALL: 'all', // Emails are placed in every bundle they match
+		FIRST: 'first', // Emails are placed only in the bundle of their first, primary, label
+		PRIORITY: 'priority', // Emails are placed only in their highest ranked bundle, see the `labelPriority` setting
+	};
+
+	// Bundle bulk action constants
+	const BULK_ACTION_DELAY = 50; // Time, in milliseconds, for Gmail to update its toolbar after we select emails
+
+	// Actions performed on every email of a bundle at once, by selecting the emails and using Gmail's toolbar
+	//  selectors: Gmail toolbar button selectors, in order of preference
+	//  key: Keyboard shortcut running the action on the focused bundle, mirroring Gmail's own shortcut for the action, if any
+	//  isSkippingPinned: `true` to leave pinned emails out of the action
+	const BUNDLE_ACTIONS = {
+		MARK_READ: { title: 'Mark all as read', icon: '\u2709', key: 'I', selectors: ['[act="1"]', '[data-tooltip="Mark as read"]'] },
+		ARCHIVE: { title: 'Sweep: archive all', icon: '\u2713', key: 'e', selectors: ['[act="7"]', '[data-tooltip="Archive"]'] },
+		SWEEP_UNPINNED: { title: 'Sweep unpinned: archive all but pinned', icon: '\u2713\u{1F4CC}', isSkippingPinned: true, selectors: ['[act="7"]', '[data-tooltip="Archive"]'] },
+		MOVE: { title: 'Move all to label', icon: '\u21AA', key: 'v', selectors: ['[act="8"]', '[data-tooltip="Move to"]'] },
+		DELETE: { title: 'Delete all', icon: '\u{1F5D1}', key: '#', selectors: ['[act="10"]', '[data-tooltip="Delete"]'] },
+	};
+	const BUNDLE_ACTIONS_CLASS = '_js-bundle-actions'; // Class of the on-hover bulk actions of a bundle
+	const BUNDLE_ACTION_CLASS = '_js-bundle-action'; // Class of a single bulk action of a bundle
+
+	// Keyboard navigation constants
+	const FOCUSED_BUNDLE_CLASS = '_js-focused-bundle'; // Class of the bundle focused via keyboard, styled to mirror Gmail's cursor bar
+	const KEYBOARD_SHORTCUTS = {
+		NEXT: ['j'],
+		PREVIOUS: ['k'],
+		TOGGLE: ['o', 'Enter'],
+		CLOSE: ['Escape', 'u'],
+		SELECT: ['x'],
+	};
+
+	// Gmail view types, based off the URL hash. Values double as keys of the `enabledViews` setting.
+	const VIEW_TYPES = {
+		INBOX: 'inbox', // `#inbox`, also Gmail's default view without a hash
+		LABEL: 'label', // `#label/<label>`
+		SEARCH: 'search', // `#search/<query>` and `#advanced-search/<query>`
+		CATEGORY: 'category', // `#category/<category>`, i.e. inbox tabs
+		OTHER: 'other', // All other email lists, e.g. `#sent`, `#starred`, `#all`
+		THREAD: 'thread', // A single open thread, e.g. `#inbox/<thread id>`. No email list is visible, so there's nothing to bundle.
+	};
+	const VIEW_TYPE_NAMES = { inbox: 'Inbox', label: 'Labels', search: 'Search results', category: 'Categories', other: 'Other lists, e.g. Sent' };
+	const VIEWS_WITH_ARGUMENT = ['label', 'search', 'advanced-search', 'category']; // Hash view names followed by an argument, e.g. the label name
+	const VIEW_PAGE_PATTERN = /^p\d+$/; // Hash segment of email list pages, e.g. `#inbox/p2`
+
+	// Events emitted to listeners registered with `window.GmailBundles.on`, each called with the bundle's info, see getBundleInfo
+	const BUNDLE_EVENTS = {
+		CREATED: 'bundle:created', // A bundle DOM was inserted into the email list
+		OPENED: 'bundle:opened',
+		CLOSED: 'bundle:closed',
+		UPDATED: 'bundle:updated', // A bundle DOM's name, senders or date changed
+		REMOVED: 'bundle:removed', // A bundle no longer has any emails, and its DOM was removed
+	};
+
+	// Settings panel constants
+	const SETTINGS_BUTTON_ID = '_js-bundles-settings-button';
+	const SETTINGS_PANEL_ID = '_js-bundles-settings-panel';
+	const SETTINGS_MAX_SENDERS_LIMIT = 10; // Upper bound of the senders shown input
 
+	// Declarative rules mapping emails to named bundles, so mail can be bundled without maintaining Gmail filters/labels.
+	// An email matches a rule if it matches every condition specified on the rule; unspecified conditions are ignored.
+	// String conditions accept a single string or an array of strings, any of which may match. Comparisons are case-insensitive.
+	//  bundle: Name of the bundle matching emails are placed in. Rules may share a bundle name, and may share a name with a label.
+	//  from: Sender email address, e.g. 'noreply@github.com'
+	//  domain: Sender email domain, also matches subdomains, e.g. 'stripe.com' matches 'mail.stripe.com'
+	//  subject: RegExp tested against the email subject, or text contained in it, e.g. 'invoice'
+	//  snippet: RegExp tested against the email snippet, the start of the email body shown after the subject, or text contained in it
+	//  hasAttachment: `true` to only match emails with an attachment, `false` to only match emails without one
+	//  unread: `true` to only match unread emails, `false` to only match read emails
+	//  label: Existing label on the email
+	//  color, textColor: Optional bundle name colors, used when the bundle isn't also a label whose colors we can borrow
+	// Rules added here are lost when the user script updates, rules in the `bundleRules` setting are kept and apply after these
+	const BUNDLE_RULES = [
+		// { bundle: 'CI', domain: ['travis-ci.com', 'circleci.com'], subject: /build|pipeline/i, color: 'rgb(66, 133, 244)', textColor: 'rgb(255, 255, 255)' },
+		// { bundle: 'Billing', subject: /\b(invoice|receipt|payment)\b/i, hasAttachment: true },
+	];
+
+	// Built-in bundles for emails that aren't bundled by a label, rule or custom classifier, enabled in the `smartBundles` setting
+	// An email belongs to the first enabled smart bundle it matches any rule of, see BUNDLE_RULES for the rule conditions
+	const SMART_BUNDLES = [
+		{
+			bundle: 'Purchases', color: 'rgb(255, 224, 178)', textColor: 'rgb(166, 84, 0)',
+			rules: [
+				{ domain: ['amazon.com', 'ebay.com', 'etsy.com', 'aliexpress.com', 'shopify.com', 'walmart.com', 'target.com'] },
+				{ subject: /\b(your order|order (confirmation|confirmed|#)|receipt|purchase|has shipped|shipping confirmation|out for delivery|delivered)\b/i },
+			],
+		},
+		{
+			bundle: 'Travel', color: 'rgb(179, 229, 252)', textColor: 'rgb(1, 87, 155)',
+			rules: [
+				{ domain: ['airbnb.com', 'booking.com', 'expedia.com', 'hotels.com', 'tripadvisor.com', 'kayak.com', 'uber.com', 'lyft.com'] },
+				{ subject: /\b(flight|itinerary|boarding pass|check-in|reservation|booking confirmation|your trip|your stay)\b/i },
+			],
+		},
+		{
+			bundle: 'Finance', color: 'rgb(200, 230, 201)', textColor: 'rgb(27, 94, 32)',
+			rules: [
+				{ domain: ['paypal.com', 'venmo.com', 'wise.com', 'revolut.com', 'chase.com', 'americanexpress.com', 'capitalone.com'] },
+				{ subject: /\b(statement|payment (received|due|sent)|transaction|balance|direct deposit|transfer|bill is ready|tax)\b/i },
+			],
+		},
+		{
+			bundle: 'Social', color: 'rgb(187, 222, 251)', textColor: 'rgb(13, 71, 161)',
+			rules: [
+				{ domain: ['facebookmail.com', 'linkedin.com', 'twitter.com', 'x.com', 'instagram.com', 'tiktok.com', 'pinterest.com', 'meetup.com'] },
+				{ subject: /\b(friend request|mentioned you|tagged you|followed you|new follower|wants to connect|invitation to connect)\b/i },
+			],
+		},
+		{
+			bundle: 'Updates', color: 'rgb(255, 236, 179)', textColor: 'rgb(130, 89, 0)',
+			rules: [
+				{ subject: /\b(security alert|new sign-in|password (reset|changed)|verify your|verification code|account update|terms of service|privacy policy)\b/i },
+				{ snippet: /\b(this is an automated (message|email)|do not reply to this (message|email))\b/i },
+			],
+		},
+		{
+			bundle: 'Forums', color: 'rgb(225, 190, 231)', textColor: 'rgb(74, 20, 140)',
+			rules: [
+				{ domain: ['googlegroups.com', 'groups.io', 'discoursemail.com', 'lists.sourceforge.net'] },
+				{ subject: /^\s*(re:\s*)?\[[^\]]+\]/i }, // Mailing list subject prefix, e.g. `[dev-list] Release plans`
+				{ snippet: /\b(digest for|you received this message because you are subscribed)\b/i },
+			],
+		},
+		{
+			bundle: 'Promotions', color: 'rgb(178, 223, 219)', textColor: 'rgb(0, 77, 64)',
+			rules: [
+				{ subject: /(\d+% off|\b(sale|deal|discount|coupon|promo code|free shipping|limited time|special offer|last chance)\b)/i },
+				{ snippet: /\b(view (this email )?in (your )?browser|shop now)\b/i },
+			],
+		},
+	];
+
+	// Logging constants, see logger
+	//  Nothing is logged to the console by default. Debug mode logs everything, and is shared by all accounts, see setDebugMode.
+	const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent']; // In increasing order of severity, only messages at or above the current log level are logged
+	const DEFAULT_LOG_LEVEL = 'silent';
+	const DEBUG_LOG_LEVEL = 'debug';
+	const LOG_LEVEL_STORAGE_KEY = '_js-bundles-log-level';
+	const LOG_CONSOLE_METHODS = { debug: 'log', info: 'info', warn: 'warn', error: 'error' }; // `console.debug` is hidden by default in browser consoles
+	const LOG_PREFIX = '[Gmail Bundles]';
+	const MAX_LOG_ENTRIES = 100; // Recent log entries kept for diagnostics. Warnings & errors are always kept, other entries only in debug mode.
+
+	// The log level is read before settings are loaded, so that loading settings can be logged
+	const loadLogLevel = () => {
+		try {
+			const logLevel = window.localStorage.getItem(LOG_LEVEL_STORAGE_KEY);
+			return LOG_LEVELS.includes(logLevel) ? logLevel : DEFAULT_LOG_LEVEL;
+		} catch (error) {
+			return DEFAULT_LOG_LEVEL;
+		}
+	};
+
+	// Maps keyed by bundle or view name are created without a prototype, as label names like `constructor` or `__proto__`
+	//  would otherwise look up the inherited Object properties
 	const state = {
-		bundleTemplateHTML: '',
-		bundles: {}, // [bundleName] : $email[], sorted list of all bundled emails
-		bundlesVisibility: {}, // [bundleName] : boolean, if bundle is open
-		bundlesUnread: {}, // [bundleName] : boolean, if bundle contains unread email
-		bundlesOrder: [], // bundleName[] : Array of current bundle names, sorted by most recent email
+		$bundleTemplate: null, // Bundle DOM template, cloned for every bundle, see initBundleTemplate
+		bundles: Object.create(null), // [bundleName] : $email[], sorted list of all bundled emails
+		bundlesVisibility: Object.create(null), // [bundleName] : boolean, if bundle is open
+		bundlesUnread: Object.create(null), // [bundleName] : boolean, if bundle contains unread email
+		bundlesOrder: [], // bundleName[] : Array of current bundle names, sorted by most recent email, or by `bundleOrder` in custom order mode
+		bundleNamesToRestore: [], // bundleName[] : Bundles to reopen once the current email list is bundled, e.g. the bundles open when Gmail was last left
+		view: null, // { type, key } : The current Gmail view, see getView
+		listView: null, // { type, key } : The last email list view, i.e. the view a thread was opened from
+		viewsOpenBundles: Object.create(null), // [viewKey] : bundleName[], the bundles that were open when an email list view was left
+		inlineEmails: new Map(), // [$email] : bundleName, the open bundle an email expanded in place is shown for
+		inlineHeaders: Object.create(null), // [bundleName] : $header, the header of a bundle expanded in place
+		deliveryTimes: Object.create(null), // [bundleName] : timestamp, the last scheduled delivery of bundles with a delivery schedule
+		isSettingsReadOnly: false, // Whether the saved settings are from a newer script version, which we use defaults in place of and never overwrite
+		heldEmails: [], // $email[] : Bundled emails held back until their scheduled bundle's next delivery
+		isUntimedEmailWarned: false, // Whether we warned of scheduled emails without a sent time in the current email list, to only warn once per email list
+		isListBundled: false, // Whether the current email list was bundled since it was loaded or switched to, i.e. whether new emails can be told apart
+		seenEmails: { // Emails of the current email list as of its previous runs, see getNewUnreadEmails
+			$emails: new WeakSet(), // Email rows, for emails without a thread ID
+			threadIds: new Set(), // Thread IDs, as Gmail may rerender email rows
+			newestTime: null, // Sent time of the most recent email, null if none could be told
+		},
+		unreadBadge: { // The unread count shown in the tab title & favicon, see renderUnreadBadge
+			count: null, // Gmail's unread count, not counting muted bundles. null while no email list is bundled.
+			mutedCount: 0, // Unread emails of the email list that Gmail counts but we leave out, see getMutedUnreadCount
+			gmailTitle: '', // The tab title as last set by Gmail
+			renderedTitle: null, // The tab title as last set by us
+			gmailFaviconHref: null, // The favicon as last set by Gmail
+			renderedFaviconHref: null, // The favicon as last drawn by us
+			faviconKey: null, // The unread count & Gmail favicon the favicon is being drawn for, see renderFaviconBadge
+		},
+		headObserver: null, // MutationObserver watching the document head for Gmail changing the tab title or favicon
+		emailsBundleNames: new WeakMap(), // [$email] : bundleName[], cached result of getEmailBundleNames, invalidated when the email changes
+		bundleRules: { savedRules: null, rules: [] }, // The `bundleRules` setting the rules were parsed from, and BUNDLE_RULES with them, see getBundleRules
+		bundlizerObserver: null, // MutationObserver watching all email lists for changes
+		pendingMutations: [], // MutationRecord[] : Mutations observed since the last runBundlizer
+		isRunningUntracked: false, // Whether we're currently updating the DOM in runUntracked
+		classifiers: [], // function[] : Custom bundle classifiers registered by other scripts, see `window.GmailBundles.registerClassifier`
+		renderers: [], // function[] : Custom bundle DOM renderers registered by other scripts, see `window.GmailBundles.registerRenderer`
+		eventListeners: {}, // [eventName] : function[], see BUNDLE_EVENTS
+		layoutStatus: LAYOUT_STATUSES.UNCHECKED, // Whether the Gmail layout is supported by our selectors, see LAYOUT_STATUSES
+		selectorHealth: {}, // [selectorKey] : { selector, isRequired }, the candidate each selector resolved to, `selector` is null if none matched
+		stats: { // Counters of the bundlizer's work, exposed as `window.GmailBundlesStats` to help diagnose performance
+			runs: 0, // Total runBundlizer calls that bundled an email list
+			fullRuns: 0, // Runs that reclassified every email, e.g. on load or when switching email lists
+			incrementalRuns: 0, // Runs that only reclassified changed emails
+			observedMutations: 0, // Mutations observed from Gmail
+			ignoredMutations: 0, // Observed mutations unrelated to emails, which didn't trigger a run
+			selfInflictedMutations: 0, // Mutations caused by our own DOM updates, discarded
+			classifiedEmails: 0, // Emails whose bundles were (re)computed
+			updatedBundles: 0, // Bundle DOMs inserted or updated
+			lastRunMs: 0, // Duration of the last run, in milliseconds
+			maxRunMs: 0, // Duration of the slowest run, in milliseconds
+			totalRunMs: 0, // Duration of all runs, in milliseconds
+		},
+		focusedBundleName: null, // bundleName : The bundle focused via keyboard navigation, if any
+		logLevel: loadLogLevel(), // See LOG_LEVELS
+		logEntries: [], // { time, level, message, details }[] : Recent log entries, included in diagnostics, see MAX_LOG_ENTRIES
+	};
+
+	// Log entries keep a summary of their details rather than the details themselves, so that diagnostics never include email contents
+	const summarizeLogDetail = (detail) => {
+		if (detail === null || ['string', 'number', 'boolean', 'undefined'].includes(typeof detail)) {
+			return detail;
+		}
+		if (detail instanceof Error) {
+			return `${detail.name}: ${detail.message}`;
+		}
+		if (detail instanceof Element) {
+			return `<${detail.tagName.toLowerCase()}${detail.id ? `#${detail.id}` : ''}>`;
+		}
+		if (Array.isArray(detail)) {
+			return detail.every((item) => typeof item === 'string') ? detail : `Array(${detail.length})`;
+		}
+		if (detail instanceof Set || detail instanceof Map) {
+			return `${detail.constructor.name}(${detail.size})`;
+		}
+		return typeof detail;
+	};
+
+	const log = (level, message, ...details) => {
+		const isLogged = LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(state.logLevel);
+		if (isLogged || LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf('warn')) {
+			state.logEntries.push({ time: new Date().toISOString(), level, message, details: details.map(summarizeLogDetail) });
+			if (state.logEntries.length > MAX_LOG_ENTRIES) {
+				state.logEntries.shift();
+			}
+		}
+		if (isLogged) {
+			console[LOG_CONSOLE_METHODS[level]](`${LOG_PREFIX} ${message}`, ...details);
+		}
+	};
+
+	// Leveled logger, silent unless debug mode is on. Messages are plain strings, details are logged as is and summarized in diagnostics.
+	const logger = {
+		debug: (message, ...details) => log('debug', message, ...details),
+		info: (message, ...details) => log('info', message, ...details),
+		warn: (message, ...details) => log('warn', message, ...details),
+		error: (message, ...details) => log('error', message, ...details),
+	};
+
+	// Settings constants
+	// Settings are persisted to localStorage, namespaced per Gmail account so that multiple accounts open in parallel tabs behave independently
+	const SETTINGS_STORAGE_KEY_PREFIX = '_js-bundles-settings';
+	const SETTINGS_VERSION = 9; // Bump this and add a migration to SETTINGS_MIGRATIONS whenever the settings schema changes
+	const DEFAULT_SETTINGS = {
+		version: SETTINGS_VERSION,
+		bundleMode: DEFAULT_BUNDLE_MODE, // See BUNDLE_MODES
+		excludedLabels: [], // bundleName[] : Labels, or rule bundles, that never form bundles
+		bundlePreferences: {}, // [bundleName] : { displayName, color, textColor, delivery, notification }, per-bundle preferences, overriding label name & colors
+		//  delivery: { frequency, time, day }, see DELIVERY_FREQUENCIES. `time` is HH:MM, `day` is 0 for Sunday to 6 for Saturday.
+		//  notification: See NOTIFICATION_POLICIES
+		lastOpenBundles: [], // bundleName[] : The bundles that were open when Gmail was last left, reopened on load
+		maxSenders: MAX_SENDERS_BUNDLE_DESC, // Max email senders to display as bundle description
+		bundleOrderMode: BUNDLE_ORDER_MODES.NEWEST, // See BUNDLE_ORDER_MODES
+		bundleOrder: [], // bundleName[] : User defined display order of bundles, used in custom order mode
+		multipleLabelsPolicy: MULTIPLE_LABELS_POLICIES.ALL, // See MULTIPLE_LABELS_POLICIES
+		labelPriority: [], // bundleName[] : User ranked bundles, highest priority first, used by the priority policy
+		enabledViews: { inbox: true, label: true, search: false, category: true, other: false }, // [viewType] : boolean, if bundling is enabled in that view type
+		openMode: BUNDLE_OPEN_MODES.FOCUS, // See BUNDLE_OPEN_MODES
+		pinnedThreads: [], // threadId[] : Pinned threads, which stay visible in the email list even though they're bundled
+		smartBundles: SMART_BUNDLES.map((smartBundle) => smartBundle.bundle), // bundleName[] : Enabled SMART_BUNDLES
+		hierarchicalBundles: false, // Whether nested labels, e.g. `Work/Project-A`, are bundled in their parent bundle, e.g. `Work`, as sub-bundles
+		bundleRules: [], // Rules applied after BUNDLE_RULES, see BUNDLE_RULES. Saved as JSON, so RegExp conditions are saved as `{ pattern, flags }`.
+	};
+	// SETTINGS_MIGRATIONS[n] migrates settings from version n to version n + 1, and is run in order on load
+	//  Version 0 is settings saved before settings were versioned, or no saved settings at all
+	const SETTINGS_MIGRATIONS = [
+		(settings) => Object.assign(getDefaultSettings(), settings),
+		(settings) => Object.assign({ maxSenders: MAX_SENDERS_BUNDLE_DESC, bundleOrderMode: BUNDLE_ORDER_MODES.NEWEST, bundleOrder: [] }, settings),
+		(settings) => Object.assign({ multipleLabelsPolicy: MULTIPLE_LABELS_POLICIES.ALL, labelPriority: [] }, settings),
+		(settings) => Object.assign({ enabledViews: getDefaultSettings().enabledViews }, settings),
+		(settings) => {
+			const { lastOpenBundle, ...migratedSettings } = settings;
+			return Object.assign({ openMode: BUNDLE_OPEN_MODES.FOCUS, lastOpenBundles: lastOpenBundle ? [lastOpenBundle] : [] }, migratedSettings);
+		},
+		(settings) => Object.assign({ pinnedThreads: [] }, settings),
+		// Smart bundles would suddenly hide unlabeled emails of existing users, so they're only enabled by default for new users
+		(settings) => Object.assign({ smartBundles: [] }, settings),
+		(settings) => Object.assign({ hierarchicalBundles: false }, settings),
+		(settings) => Object.assign({ bundleRules: [] }, settings),
+	];
+
+	// Deep copy of the default settings, so that mutating settings never mutates DEFAULT_SETTINGS
+	const getDefaultSettings = () => {
+		return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+	};
+
+	// Get the Gmail account path of the current tab, e.g. `/mail/u/1`. Gmail treats `/mail/` as the first account.
+	const getAccountPath = () => {
+		const accountPathMatch = window.location.pathname.match(/^\/mail\/[ub]\/[^/]+/);
+		return accountPathMatch ? accountPathMatch[0] : '/mail/u/0';
+	};
+
+	const getSettingsStorageKey = () => {
+		return `${SETTINGS_STORAGE_KEY_PREFIX}:${getAccountPath()}`;
+	};
+
+	const migrateSettings = (savedSettings) => {
+		let settings = savedSettings;
+		for (let version = settings.version || 0; version < SETTINGS_VERSION; version++) {
+			settings = SETTINGS_MIGRATIONS[version](settings);
+			settings.version = version + 1;
+		}
+		return settings;
+	};
+
+	// Load settings of the current account, falling back to default settings if there are none or they can't be read
+	const loadSettings = () => {
+		let savedSettings = {};
+		try {
+			savedSettings = JSON.parse(window.localStorage.getItem(getSettingsStorageKey())) || {};
+		} catch (error) {
+			logger.warn('Unable to load bundle settings, using defaults', error);
+		}
+
+		const settings = migrateSettings(savedSettings);
+		if (settings.version > SETTINGS_VERSION) {
+			// Settings were saved by a newer version of this script, don't risk misinterpreting them, nor losing them by saving ours over them
+			logger.warn('Bundle settings were saved by a newer script version, using defaults without saving them');
+			state.isSettingsReadOnly = true;
+			return getDefaultSettings();
+		}
+		const loadedSettings = Object.assign(getDefaultSettings(), settings);
+		// Keyed by bundle name, see `state`
+		loadedSettings.bundlePreferences = Object.assign(Object.create(null), loadedSettings.bundlePreferences);
+		return loadedSettings;
+	};
+
+	const settings = loadSettings();
+
+	const saveSettings = () => {
+		if (state.isSettingsReadOnly) {
+			return;
+		}
+		try {
+			window.localStorage.setItem(getSettingsStorageKey(), JSON.stringify(settings));
+		} catch (error) {
+			logger.warn('Unable to save bundle settings', error);
+		}
+	};
+
+	const getSetting = (key) => {
+		return settings[key];
 	};
 
+	const setSetting = (key, value) => {
+		settings[key] = value;
+		saveSettings();
+	};
+
+	// Keep settings in sync with other tabs of the same account
+	window.addEventListener('storage', (event) => {
+		if (event.key === getSettingsStorageKey()) {
+			Object.assign(settings, loadSettings());
+		}
+	});
+
 	// Credit: https://davidwalsh.name/javascript-debounce-function
 	function debounce(func, wait, immediate) {
 		let timeout;
@@ -91,7 +707,7 @@ Plan Notes:
 		};
 	}
 
-	// Consumed by initBundleTemplateHTML
+	// Consumed by initBundleTemplate
 	const cleanAttributes = ($node) => {
 		Array.from($node.attributes).forEach((attribute) => {
 			const attributeName = attribute.name.toLowerCase();
@@ -107,230 +723,1254 @@ Plan Notes:
 	};
 
 	const isBundleInDom = (bundleName) => {
-		return !!document.querySelector(`[data-bundleName="${bundleName}"]`);
+		return !!getBundleDom(bundleName);
 	};
 
-	// This method will be used to set the bundle dom code into JS once per script run.
-	const initBundleTemplateHTML = () => {
-        // NOTE: Had to make this stateful because we don't know exactly when we'll be ready to init bundle template HTML
+	// This method will be used to set the bundle dom template into JS once per script run.
+	const initBundleTemplate = () => {
+        // NOTE: Had to make this stateful because we don't know exactly when we'll be ready to init bundle template
         // TODO: Any way to make this not stateful?
-        if (state.bundleTemplateHTML) {
+        if (state.$bundleTemplate) {
             return;
         }
-		const $emails = document.querySelectorAll(`${VISIBLE_EMAIL_TABLE_CLASS} ${EMAIL_CLASS}`);
-		const $email = $emails[$emails.length - 1]; // Grab last email to ensure it doesn't have any type of top-of-list CSS
+		// Selectors only need to match some email rows, so rows missing the fields we fill in can't be used as template
+		const $emails = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}`)).reverse()
+			.filter(($templateEmail) => [selectors.EMAIL_SENDER, selectors.EMAIL_SUBJECT, selectors.EMAIL_SENT_DATE].every((selector) => !!$templateEmail.querySelector(selector)));
+		// Grab last email to ensure it doesn't have any type of top-of-list CSS, preferring one that isn't unread or selected
+		const $email = $emails.find(($templateEmail) => !isEmailUnread($templateEmail) && !$templateEmail.matches(selectors.EMAIL_SELECTED)) || $emails[0];
+		if (!$email) { // Nothing to build the template from yet, e.g. the email list is still loading
+			return;
+		}
 		const $bundleTemplate = $email.cloneNode(true);
-        console.log('initting bundle tpl with', $bundleTemplate.outerHTML);
+		// Bundles render their own unread & focus state
+		[selectors.EMAIL_UNREAD, selectors.EMAIL_SELECTED, selectors.EMAIL_KEYBOARD_CURSOR].forEach((selector) => {
+			$bundleTemplate.classList.remove(...getSelectorClasses(selector));
+		});
+		const $checkbox = $bundleTemplate.querySelector(selectors.EMAIL_CHECKBOX);
+		const $checkboxCell = $checkbox && $checkbox.closest('td');
+		Array.from($bundleTemplate.querySelectorAll(`.${PIN_CONTROL_CLASS}`)).forEach(($pinControl) => {
+			$pinControl.remove();
+		});
+		logger.debug('Initializing bundle template from email', $email);
 
-		// First: Remove all unused classes
-		Object.values(REMOVED_CLASSES).forEach((REMOVED_CLASS) => {
-			const $removedElements = Array.from($bundleTemplate.querySelectorAll(REMOVED_CLASS));
+		// First: Remove all unused email row parts
+		TEMPLATE_REMOVED_SELECTOR_KEYS.forEach((selectorKey) => {
+			const $removedElements = Array.from($bundleTemplate.querySelectorAll(selectors[selectorKey]));
 			$removedElements.forEach(($removedElement) => {
 				$removedElement.remove();
 			});
 		});
 
-		// We can't directly set `.style` values to invalid values like template variables, thus we need random values that'll be replaced.
-		// We will replace these random CSS values with template variables when setting the bundle template HTML to a string.
-		const randomBackgroundColor = 'rgb(126, 140, 164)';
-		const randomTextColor = 'rgb(138, 194, 21)';
-
 		// Second: Clean attributes of all child nodes - IDs, "js*", "data-*", "name", "email"
 		Array.from($bundleTemplate.querySelectorAll('*')).forEach(cleanAttributes);
 		cleanAttributes($bundleTemplate);
 
-		// Third: Replace specific fields with template vars
-        console.log('trying to init tpl', $bundleTemplate);
+		// Third: Mark specific fields, filled in by createBundleDom & updateBundleDom
         // Sometimes the inner span is yP if subject has name, sometime it is zF if it's `me`/nameless. Also, there are multiple yP/zF per sender. So we override that.
-        // TODO: Maybe make override below less explicit? Make it look nicer somehow?
-		$bundleTemplate.querySelector(EMAIL_SENDER_CLASS).innerHTML = '<span class="bA4"><span class="yP" data-bundle></span></span>';
-        console.log('cleaning subject...');
-		$bundleTemplate.querySelector(EMAIL_SUBJECT_CLASS).setAttribute('data-subject', '');
-                console.log('cleaning date...');
-		$bundleTemplate.querySelector(EMAIL_SENT_DATE_CLASS).setAttribute('data-date', '');
-		// Some custom styles for our bundle name
-		$bundleTemplate.querySelector(EMAIL_SENDER_WRAPPER_CLASS).style['background-color'] = randomBackgroundColor;
-		$bundleTemplate.querySelector(EMAIL_SENDER_WRAPPER_CLASS).style['color'] = randomTextColor;
-		$bundleTemplate.querySelector(EMAIL_SENDER_WRAPPER_CLASS).style['padding'] = '2px 4px';
-		$bundleTemplate.querySelector(EMAIL_SENDER_WRAPPER_CLASS).style['border-radius'] = '4px';
-
-		// Add final template vars when returning our output. Also include shared class to be used when targeting all bundles elements
-		const displayedEmailClass = EMAIL_CLASS.replace(/\./g, ' ').trim(); // The email class as it is displayed in the HTML
-		state.bundleTemplateHTML = $bundleTemplate.outerHTML
-			.replace('<tr', '<div data-bundlename="{BUNDLE_NAME}"') // Ensures bundle DOM element doesn't count as email to GMail's JS
-			.replace('/tr>', '/div>') // Ensures bundle DOM element doesn't count as email to GMail's JS
-			.replace(/td/g, 'div') // Ensures bundle DOM element doesn't count as email to GMail's JS
-			.replace('<div class="oZ-x3 xY" style="', '<div class="oZ-x3 xY" style="width: 72px;') // Ensures we correctly left-align
-			// TODO: We probably don't need BUNDLE_CLASS_PREFIX anymore, can just use `data-bundlename`
-			.replace(displayedEmailClass, `${displayedEmailClass} ${BUNDLE_CLASS_PREFIX}`)
-			.replace(randomBackgroundColor, '{BUNDLE-BG-COLOR}')
-			.replace(randomTextColor, '{BUNDLE-TEXT-COLOR}');
+		const $bundleNameText = createElement('span', { className: getSelectorClasses(selectors.EMAIL_SENDER_NAME).join(' ') });
+		$bundleNameText.setAttribute('data-bundle', '');
+		const $bundleNameWrapper = createElement('span', { className: getSelectorClasses(selectors.EMAIL_SENDER_WRAPPER).join(' ') }, [$bundleNameText]);
+		$bundleNameWrapper.setAttribute('data-bundle-colors', '');
+		$bundleTemplate.querySelector(selectors.EMAIL_SENDER).replaceChildren($bundleNameWrapper);
+		$bundleTemplate.querySelector(selectors.EMAIL_SUBJECT).setAttribute('data-subject', '');
+		const $date = $bundleTemplate.querySelector(selectors.EMAIL_SENT_DATE);
+		$date.setAttribute('data-date', '');
+		// Date ranges are wider than a single date
+		const $dateCell = $date.closest('td') || $date.parentElement;
+		$dateCell.setAttribute('data-date-cell', '');
+		const $markers = createElement('span');
+		$markers.setAttribute('data-markers', '');
+		$dateCell.prepend($markers);
+		if ($checkboxCell) {
+			$checkboxCell.setAttribute('data-checkbox-cell', ''); // Ensures we correctly left-align, see syncListStyles
+		}
+
+		// Include shared class to be used when targeting all bundles elements
+		// TODO: We probably don't need BUNDLE_CLASS_PREFIX anymore, can just use `data-bundlename`
+		$bundleTemplate.classList.add(BUNDLE_CLASS_PREFIX);
+		state.$bundleTemplate = toDivElement($bundleTemplate); // Ensures bundle DOM element doesn't count as email to GMail's JS
+	};
+
+	// Rebuild table rows & cells as divs, keeping their attributes & children
+	const toDivElement = ($element) => {
+		const $div = document.createElement('div');
+		Array.from($element.attributes).forEach((attribute) => {
+			$div.setAttribute(attribute.name, attribute.value);
+		});
+		Array.from($element.childNodes).forEach(($child) => {
+			$div.append(['TR', 'TD'].includes($child.nodeName) ? toDivElement($child) : $child);
+		});
+		return $div;
+	};
+
+	// Create a bundle DOM element from the bundle template. Bundle names are only ever set as text or attribute values, so any label name is safe.
+	const createBundleDom = (bundleName) => {
+		const $bundle = state.$bundleTemplate.cloneNode(true);
+		$bundle.id = getBundleId(bundleName);
+		$bundle.setAttribute('data-bundlename', bundleName);
+
+		const bundleColors = getBundleColors(state.bundles[bundleName][0], bundleName);
+		const $bundleNameWrapper = $bundle.querySelector('[data-bundle-colors]');
+		$bundleNameWrapper.style['background-color'] = bundleColors.background;
+		$bundleNameWrapper.style['color'] = bundleColors.text;
+		return $bundle;
+	};
+
+	// Our stylesheet, keyed on our own classes & data attributes. Colors are CSS variables, switched to their dark variant in dark themes.
+	const insertStylesheet = () => {
+		if (document.getElementById(STYLESHEET_ID)) {
+			return;
+		}
+
+		const stylesheet = `
+			:root {
+				--_js-bundles-surface: rgba(0, 0, 0, 0.05);
+				--_js-bundles-popup: rgb(255, 255, 255);
+				--_js-bundles-text: rgb(34, 34, 34);
+				--_js-bundles-muted: rgb(95, 99, 104);
+				--_js-bundles-accent: rgb(26, 115, 232);
+				--_js-bundles-focus: rgb(77, 144, 254);
+				--_js-bundles-shadow: rgba(0, 0, 0, 0.3);
+			}
+			:root.${DARK_THEME_CLASS} {
+				--_js-bundles-surface: rgba(255, 255, 255, 0.08);
+				--_js-bundles-popup: rgb(41, 42, 45);
+				--_js-bundles-text: rgb(232, 234, 237);
+				--_js-bundles-muted: rgb(154, 160, 166);
+				--_js-bundles-accent: rgb(138, 180, 248);
+				--_js-bundles-focus: rgb(138, 180, 248);
+				--_js-bundles-shadow: rgba(0, 0, 0, 0.6);
+			}
+			.${HIDDEN_EMAIL_CLASS}, .${HIDDEN_BUNDLE_CLASS} {
+				display: none !important;
+			}
+			.${BUNDLE_CLASS_PREFIX} {
+				position: relative;
+				box-sizing: border-box;
+				min-height: var(${ROW_HEIGHT_PROPERTY}, auto);
+			}
+			.${BUNDLE_CLASS_PREFIX}.${FOCUSED_BUNDLE_CLASS} {
+				box-shadow: inset 4px 0 0 var(--_js-bundles-focus);
+			}
+			.${BUNDLE_CLASS_PREFIX} [data-checkbox-cell] {
+				width: var(${CHECKBOX_CELL_WIDTH_PROPERTY}, 72px);
+			}
+			.${BUNDLE_CLASS_PREFIX} [data-bundle-colors] {
+				padding: calc(var(${ROW_HEIGHT_PROPERTY}, 40px) / 20) 4px;
+				border-radius: 4px;
+			}
+			.${BUNDLE_CLASS_PREFIX} [data-date-cell] {
+				width: auto;
+				white-space: nowrap;
+			}
+			.${BUNDLE_CLASS_PREFIX} [data-markers] {
+				margin-right: 8px;
+			}
+			.${BUNDLE_ACTIONS_CLASS} {
+				display: none;
+				position: absolute;
+				top: 0;
+				right: 0;
+				bottom: 0;
+				align-items: center;
+				padding: 0 8px;
+				background: inherit;
+			}
+			.${BUNDLE_CLASS_PREFIX}:hover .${BUNDLE_ACTIONS_CLASS} {
+				display: flex;
+			}
+			.${BUNDLE_ACTION_CLASS} {
+				padding: 0 8px;
+				cursor: pointer;
+				color: var(--_js-bundles-muted);
+			}
+			.${INLINE_HEADER_CLASS} {
+				display: flex;
+				justify-content: space-between;
+				padding: 4px 16px 4px ${INLINE_EMAIL_INDENT};
+				font-size: 12px;
+				color: var(--_js-bundles-muted);
+				background: var(--_js-bundles-surface);
+			}
+			.${INLINE_COLLAPSE_CLASS} {
+				cursor: pointer;
+				color: var(--_js-bundles-accent);
+			}
+			/* Emails keep their own display, e.g. table rows, so their first cell is indented rather than the row */
+			.${INLINE_EMAIL_CLASS} > :first-child {
+				padding-left: ${INLINE_EMAIL_INDENT};
+			}
+			.${PIN_CONTROL_CLASS} {
+				margin-right: 8px;
+				cursor: pointer;
+				opacity: 0.3;
+			}
+			.${PINNED_EMAIL_CLASS} .${PIN_CONTROL_CLASS} {
+				opacity: 1;
+			}
+			#${SETTINGS_BUTTON_ID} {
+				position: fixed;
+				bottom: 16px;
+				left: 16px;
+				z-index: 999;
+				width: 32px;
+				height: 32px;
+				line-height: 32px;
+				text-align: center;
+				font-size: 20px;
+				cursor: pointer;
+				border-radius: 50%;
+				background: var(--_js-bundles-popup);
+				color: var(--_js-bundles-muted);
+				box-shadow: 0 1px 4px var(--_js-bundles-shadow);
+			}
+			#${SETTINGS_PANEL_ID} {
+				position: fixed;
+				top: 10vh;
+				left: 50%;
+				transform: translateX(-50%);
+				max-height: 80vh;
+				overflow: auto;
+				z-index: 1000;
+				padding: 16px 24px;
+				background: var(--_js-bundles-popup);
+				color: var(--_js-bundles-text);
+				border-radius: 8px;
+				box-shadow: 0 4px 16px var(--_js-bundles-shadow);
+				font-size: 14px;
+			}
+			:root.${DARK_THEME_CLASS} #${SETTINGS_PANEL_ID} {
+				color-scheme: dark;
+			}
+			#${LAYOUT_CHANGED_BANNER_ID} {
+				position: fixed;
+				top: 8px;
+				left: 50%;
+				transform: translateX(-50%);
+				z-index: 1000;
+				padding: 8px 16px;
+				border-radius: 4px;
+				background: rgb(50, 50, 50);
+				color: rgb(255, 255, 255);
+				font-size: 14px;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+			}
+		`;
+		(document.head || document.documentElement).append(createElement('style', { id: STYLESHEET_ID, textContent: stylesheet }));
+	};
+
+	// Match bundles to Gmail's current display density & theme, both of which can be changed from Gmail's settings at any time
+	//  Measured from an email row, as Gmail's density & theme classes are obfuscated
+	const syncListStyles = ($emailTable) => {
+		const $email = Array.from($emailTable.querySelectorAll(`${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX}):not(.${HIDDEN_EMAIL_CLASS})`))
+			.find(($listEmail) => $listEmail.offsetHeight > 0);
+		if (!$email) {
+			return;
+		}
+
+		const $root = document.documentElement;
+		const $checkbox = $email.querySelector(selectors.EMAIL_CHECKBOX);
+		const $checkboxCell = $checkbox && $checkbox.closest('td');
+		const styleProperties = {
+			[ROW_HEIGHT_PROPERTY]: `${$email.offsetHeight}px`,
+			[CHECKBOX_CELL_WIDTH_PROPERTY]: $checkboxCell && $checkboxCell.offsetWidth ? `${$checkboxCell.offsetWidth}px` : '',
+		};
+		Object.keys(styleProperties).forEach((styleProperty) => {
+			if ($root.style.getPropertyValue(styleProperty) !== styleProperties[styleProperty]) {
+				$root.style.setProperty(styleProperty, styleProperties[styleProperty]);
+			}
+		});
+		// Dark & dark custom themes show light email text, whatever their background is, e.g. a theme's background image
+		const textColor = parseColor(window.getComputedStyle($email).color);
+		const isDarkTheme = !!textColor && getRelativeLuminance(textColor) > 0.5;
+		if ($root.classList.contains(DARK_THEME_CLASS) !== isDarkTheme) {
+			$root.classList.toggle(DARK_THEME_CLASS, isDarkTheme);
+		}
+	};
+
+	// Replace the children of an element if they differ from the rendered children. Returns `true` if they were replaced.
+	//  Both are compared as serialized by the browser, so we never parse any HTML ourselves.
+	const renderChildren = ($element, $renderedChildren) => {
+		const $rendered = document.createElement('div');
+		$rendered.append(...$renderedChildren);
+		if ($element.innerHTML === $rendered.innerHTML) {
+			return false;
+		}
+		$element.replaceChildren(...Array.from($rendered.childNodes));
+		return true;
 	};
 
 	// Toggle on/off bundles' emails visibility
 	const onBundleClick = (event, bundleName) => {
 		const turnOffBundleVisibility = (_bundleName) => {
-			hideEmails(state.bundles[_bundleName]);
+			hideBundledEmails(state.bundles[_bundleName]);
 			showUnbundledEmails();
 			const bundlesResetPosition = [...state.bundlesOrder]
 				.splice(state.bundlesOrder.indexOf(_bundleName) + 1, state.bundlesOrder.length);
 			resetBundleDomsPosition(bundlesResetPosition);
 		};
 
-		// Turn off currently visible bundle first, to reset bundle doms position appropriately among other things
-		const visibleBundleName = getVisibleBundleName();
-		if (state.bundlesVisibility[bundleName] === false && visibleBundleName) {
-			state.bundlesVisibility[visibleBundleName] = false;
-			turnOffBundleVisibility(visibleBundleName);
-		}
-
-		state.bundlesVisibility[bundleName] = !state.bundlesVisibility[bundleName];
-		if (state.bundlesVisibility[bundleName]) {
-			showBundledEmails(bundleName)
+		if (isInlineOpenMode()) { // Other bundles stay open, so only this bundle is expanded or collapsed
+			state.bundlesVisibility[bundleName] = !state.bundlesVisibility[bundleName];
+			if (state.bundlesVisibility[bundleName]) {
+				expandBundleInline(bundleName);
+			} else {
+				// Sub-bundles are only reachable through their parent, so they're collapsed along with it
+				getOpenBundleNames().filter((openBundleName) => isDescendantBundleName(openBundleName, bundleName)).forEach((openBundleName) => {
+					state.bundlesVisibility[openBundleName] = false;
+					collapseBundleInline(openBundleName);
+					updateBundleDom(openBundleName);
+					emitBundleEvent(BUNDLE_EVENTS.CLOSED, openBundleName);
+				});
+				collapseBundleInline(bundleName);
+			}
 		} else {
-			turnOffBundleVisibility(bundleName);
+			// Turn off currently visible bundle first, to reset bundle doms position appropriately among other things
+			const visibleBundleName = getVisibleBundleName();
+			if (state.bundlesVisibility[bundleName] === false && visibleBundleName) {
+				state.bundlesVisibility[visibleBundleName] = false;
+				turnOffBundleVisibility(visibleBundleName);
+				updateBundleDom(visibleBundleName);
+				emitBundleEvent(BUNDLE_EVENTS.CLOSED, visibleBundleName);
+			}
+
+			state.bundlesVisibility[bundleName] = !state.bundlesVisibility[bundleName];
+			if (state.bundlesVisibility[bundleName]) {
+				showBundledEmails(bundleName)
+			} else {
+				turnOffBundleVisibility(bundleName);
+			}
 		}
 
 		updateBundleDom(bundleName); // Update open/closed status on bundle
+		// Sub-bundles are only shown while their parent bundle is open
+		Object.keys(state.bundles).forEach(updateBundleRowVisibility);
+		setSetting('lastOpenBundles', getOpenBundleNames());
+		emitBundleEvent(state.bundlesVisibility[bundleName] ? BUNDLE_EVENTS.OPENED : BUNDLE_EVENTS.CLOSED, bundleName);
+
+		// Closing a sub-bundle opened from its parent bundle goes back up to the parent bundle
+		const parentBundleName = getParentBundleName(bundleName);
+		if (!isInlineOpenMode() && !state.bundlesVisibility[bundleName] && !getVisibleBundleName() && parentBundleName && state.bundles[parentBundleName]) {
+			onBundleClick(null, parentBundleName);
+		}
+	};
+
+	// Reopen state.bundleNamesToRestore, once the email list they belong to has loaded
+	const restoreOpenBundles = ($emails) => {
+		const bundleNamesToRestore = state.bundleNamesToRestore;
+		if (!bundleNamesToRestore.length || !$emails.length) {
+			return;
+		}
+		state.bundleNamesToRestore = [];
+
+		const bundleNamesToOpen = bundleNamesToRestore.filter((bundleName) => state.bundles[bundleName] && !state.bundlesVisibility[bundleName]);
+		if (!isInlineOpenMode()) { // Only one bundle can be open at a time
+			bundleNamesToOpen.splice(getVisibleBundleName() ? 0 : 1);
+		}
+		bundleNamesToOpen.forEach((bundleName) => {
+			onBundleClick(null, bundleName);
+		});
+	};
+
+	const isInlineOpenMode = () => {
+		return getSetting('openMode') === BUNDLE_OPEN_MODES.INLINE;
+	};
+
+	// Show a bundle's emails indented, below a header with a collapse control placed directly beneath its bundle DOM.
+	//  The emails are shown where they are rather than moved beneath the bundle, as Gmail relies on the order of its email rows, see showBundledEmails.
+	//  Expanding an expanded bundle again picks up changes to the bundle, e.g. newly bundled emails.
+	const expandBundleInline = (bundleName) => {
+		restoreInlineEmails(bundleName);
+		const $bundle = getBundleDom(bundleName);
+		if (!$bundle) {
+			return;
+		}
+
+		const $header = createInlineHeader(bundleName);
+		state.inlineHeaders[bundleName] = $header;
+		$bundle.after($header);
+		const childBundleNames = getChildBundleNames(bundleName);
+		state.bundles[bundleName].forEach(($email) => {
+			// Sub-bundle emails are represented by their sub-bundle, which stays in the position of its latest email
+			if (childBundleNames.some((childBundleName) => state.bundles[childBundleName].includes($email))) {
+				return;
+			}
+			// Emails in several open bundles are only shown for the first of them
+			if (state.inlineEmails.has($email)) {
+				return;
+			}
+
+			state.inlineEmails.set($email, bundleName);
+			$email.classList.add(INLINE_EMAIL_CLASS);
+			$email.classList.remove(HIDDEN_EMAIL_CLASS);
+		});
+	};
+
+	const collapseBundleInline = (bundleName) => {
+		const bundle = state.bundles[bundleName];
+		restoreInlineEmails(bundleName);
+		hideBundledEmails(bundle.filter(($email) => !state.inlineEmails.has($email)));
+		// Emails shared with other open bundles are now shown for those instead
+		getOpenBundleNames()
+			.filter((openBundleName) => openBundleName !== bundleName && state.bundles[openBundleName].some(($email) => bundle.includes($email)))
+			.forEach(expandBundleInline);
+	};
+
+	// Turn the emails of a bundle expanded in place back into regular email rows, and remove its header
+	const restoreInlineEmails = (bundleName) => {
+		if (state.inlineHeaders[bundleName]) {
+			state.inlineHeaders[bundleName].remove();
+			delete state.inlineHeaders[bundleName];
+		}
+		state.inlineEmails.forEach((inlineBundleName, $email) => {
+			if (inlineBundleName !== bundleName) {
+				return;
+			}
+
+			state.inlineEmails.delete($email);
+			$email.classList.remove(INLINE_EMAIL_CLASS);
+		});
+	};
+
+	const createInlineHeader = (bundleName) => {
+		const bundle = state.bundles[bundleName];
+		const $collapse = createElement('span', { className: INLINE_COLLAPSE_CLASS, textContent: '\u25B4 Collapse', title: 'Collapse bundle' });
+		$collapse.addEventListener('click', () => {
+			runUntracked(() => {
+				onBundleClick(null, bundleName);
+			});
+		});
+		return createElement('div', { className: INLINE_HEADER_CLASS }, [
+			createElement('span', { textContent: `${getBundleDisplayName(bundleName)}: ${bundle.length} email${bundle.length === 1 ? '' : 's'}` }),
+			$collapse,
+		]);
 	};
 
+	// Parent bundles of nested labels borrow the label of one of their sub-bundles
 	const getEmailLabelWrapperOfBundle = ($email, bundleName) => {
-		return Array.from($email.querySelectorAll(EMAIL_LABEL_WRAPPER_CLASS)).find(($emailLabel) => {
-			return $emailLabel.innerText === bundleName;
+		const $emailLabels = Array.from($email.querySelectorAll(selectors.EMAIL_LABEL_WRAPPER));
+		return $emailLabels.find(($emailLabel) => $emailLabel.innerText === bundleName)
+			|| $emailLabels.find(($emailLabel) => isDescendantBundleName($emailLabel.innerText, bundleName));
+	};
+
+	// Returns the bundle name background & text colors. Label bundles borrow their label's colors, other bundles use their rule's colors.
+	const getBundleBaseColors = ($latestBundledEmail, bundleName) => {
+		const $emailLabelWrapper = getEmailLabelWrapperOfBundle($latestBundledEmail, bundleName);
+		if ($emailLabelWrapper) {
+			const $emailLabel = $emailLabelWrapper.querySelector(selectors.EMAIL_LABEL);
+			return {
+				background: $emailLabelWrapper.style['background-color'],
+				text: $emailLabel ? $emailLabel.style['color'] : DEFAULT_BUNDLE_TEXT_COLOR,
+			};
+		}
+
+		const rule = [...getBundleRules(), ...SMART_BUNDLES].find((_rule) => _rule.bundle === bundleName && (_rule.color || _rule.textColor)) || {};
+		return {
+			background: rule.color || DEFAULT_BUNDLE_BG_COLOR,
+			text: rule.textColor || DEFAULT_BUNDLE_TEXT_COLOR,
+		};
+	};
+
+	// Returns the bundle name colors, preferring colors chosen in the settings panel over the base colors
+	//  Base text colors are made readable on the background, while colors chosen in the settings panel are used as is
+	const getBundleColors = ($latestBundledEmail, bundleName) => {
+		const baseColors = getBundleBaseColors($latestBundledEmail, bundleName);
+		const bundlePreference = getBundlePreference(bundleName);
+		const background = bundlePreference.color || baseColors.background;
+		return {
+			background,
+			text: bundlePreference.textColor || getReadableTextColor(background, baseColors.text),
+		};
+	};
+
+	const getBundlePreference = (bundleName) => {
+		return getSetting('bundlePreferences')[bundleName] || {};
+	};
+
+	// Sub-bundles are shown beneath their parent bundle, so they don't repeat its name.
+	//  Sub-bundles of an excluded parent label are shown as top-level bundles, so they keep their full name.
+	const getBundleDisplayName = (bundleName) => {
+		return getBundlePreference(bundleName).displayName
+			|| (state.bundles[getParentBundleName(bundleName)] ? bundleName.split(BUNDLE_HIERARCHY_SEPARATOR).pop() : bundleName);
+	};
+
+	const isHierarchicalMode = () => {
+		return !!getSetting('hierarchicalBundles');
+	};
+
+	// Get the parent bundle name of a sub-bundle, e.g. `Work` for `Work/Project-A`, or null if it's not a sub-bundle
+	const getParentBundleName = (bundleName) => {
+		if (!isHierarchicalMode()) {
+			return null;
+		}
+		const separatorIndex = bundleName.lastIndexOf(BUNDLE_HIERARCHY_SEPARATOR);
+		return separatorIndex > 0 ? bundleName.slice(0, separatorIndex) : null;
+	};
+
+	const isDescendantBundleName = (bundleName, ancestorBundleName) => {
+		return isHierarchicalMode() && bundleName.startsWith(`${ancestorBundleName}${BUNDLE_HIERARCHY_SEPARATOR}`);
+	};
+
+	const getChildBundleNames = (bundleName) => {
+		return Object.keys(state.bundles).filter((_bundleName) => getParentBundleName(_bundleName) === bundleName);
+	};
+
+	// Emails of a bundle that aren't in any of its sub-bundles
+	const getBundleOwnEmails = (bundleName) => {
+		const childBundleNames = getChildBundleNames(bundleName);
+		return state.bundles[bundleName].filter(($email) => !childBundleNames.some((childBundleName) => state.bundles[childBundleName].includes($email)));
+	};
+
+	// Expand nested bundle names into the bundle names of every level, e.g. `Work/Project-A` into `Work` and `Work/Project-A`
+	const withParentBundleNames = (bundleNames) => {
+		const expandedBundleNames = [];
+		bundleNames.forEach((bundleName) => {
+			const segments = bundleName.split(BUNDLE_HIERARCHY_SEPARATOR);
+			// Names with empty levels, e.g. `Work/`, aren't nested labels
+			const levelBundleNames = segments.some((segment) => !segment)
+				? [bundleName]
+				: segments.map((segment, i) => segments.slice(0, i + 1).join(BUNDLE_HIERARCHY_SEPARATOR));
+			expandedBundleNames.push(...levelBundleNames.filter((levelBundleName) => !expandedBundleNames.includes(levelBundleName)));
 		});
+		return expandedBundleNames;
 	};
 
-	const getBundleSelector = (bundleName) => {
-		return `[data-bundlename="${bundleName}"]`;
+	// Sub-bundles are only shown while their parent bundle is open, or while they're open themselves
+	const isBundleRowShown = (bundleName) => {
+		const parentBundleName = getParentBundleName(bundleName);
+		return !parentBundleName || !state.bundles[parentBundleName]
+			|| !!state.bundlesVisibility[parentBundleName] || !!state.bundlesVisibility[bundleName];
+	};
+
+	const updateBundleRowVisibility = (bundleName) => {
+		const $bundle = getBundleDom(bundleName);
+		if (!$bundle) {
+			return;
+		}
+		const isHidden = !isBundleRowShown(bundleName);
+		if ($bundle.classList.contains(HIDDEN_BUNDLE_CLASS) !== isHidden) {
+			$bundle.classList.toggle(HIDDEN_BUNDLE_CLASS, isHidden);
+		}
+		let nestingLevel = 0;
+		for (let parentBundleName = getParentBundleName(bundleName); state.bundles[parentBundleName]; parentBundleName = getParentBundleName(parentBundleName)) {
+			nestingLevel++;
+		}
+		const indent = nestingLevel ? `${nestingLevel * SUB_BUNDLE_INDENT}px` : '';
+		if ($bundle.style['padding-left'] !== indent) {
+			$bundle.style['padding-left'] = indent;
+		}
+	};
+
+	// Bundle DOM IDs encode the bundle name, so that any label name makes a valid ID, looked up without a selector
+	const getBundleId = (bundleName) => {
+		return `${BUNDLE_CLASS_PREFIX}-${encodeURIComponent(bundleName)}`;
+	};
+
+	// Only look up bundles in the visible email list, Gmail keeps previously viewed email lists in the DOM
+	const getBundleDom = (bundleName) => {
+		const $bundle = document.getElementById(getBundleId(bundleName));
+		return $bundle && $bundle.closest(selectors.VISIBLE_EMAIL_TABLE) ? $bundle : null;
 	};
 
 	// This method creates a single bundle DOM element adjacent right above the specified $email
 	// Set isPlacedAfter to `true` to instead insert bundle DOM below $email
 	//  Used for moving bundle DOM around when opening other bundles
 	const insertBundleDom = ($email, bundleName, isPlacedAfter) => {
-		console.log('inserting bundle', bundleName);
-		const bundleSelector = getBundleSelector(bundleName);
-		const $latestBundledEmail = state.bundles[bundleName][0];
-		if (document.querySelector(bundleSelector)) {
+		logger.debug('Inserting bundle', bundleName);
+		if (isBundleInDom(bundleName)) {
 			return;
 		}
 
-		const $emailLabelWrapper = getEmailLabelWrapperOfBundle($latestBundledEmail, bundleName);
+		const $bundle = createBundleDom(bundleName);
+		if (isPlacedAfter) {
+			$email.after($bundle);
+		} else {
+			$email.before($bundle);
+		}
+		$bundle.addEventListener('click', (event) => {
+			runUntracked(() => {
+				focusBundle(bundleName);
+				onBundleClick(event, bundleName);
+			});
+		});
+		insertBundleActionsDom($bundle, bundleName);
+
+		updateBundleDom(bundleName, true);
+	};
+
+	// Gmail's buttons and checkboxes react to mouse events rather than just `click`
+	const simulateClick = ($element) => {
+		['mousedown', 'mouseup', 'click'].forEach((eventType) => {
+			$element.dispatchEvent(new MouseEvent(eventType, { bubbles: true, cancelable: true, view: window }));
+		});
+	};
+
+	const isEmailSelected = ($email) => {
+		const $checkbox = $email.querySelector(selectors.EMAIL_CHECKBOX);
+		return !!$checkbox && $checkbox.getAttribute('aria-checked') === 'true';
+	};
 
-		$email.insertAdjacentHTML(isPlacedAfter ? 'afterend' : 'beforebegin', state.bundleTemplateHTML
-			.replace('{BUNDLE_NAME}', bundleName)
-			.replace('{BUNDLE-BG-COLOR}', $emailLabelWrapper.style['background-color'])
-			.replace('{BUNDLE-TEXT-COLOR}', $emailLabelWrapper.querySelector(EMAIL_LABEL_CLASS).style['color'])
-		);
+	// Gmail's shortcuts listen to every key event of a key press. Our simulated key presses aren't trusted, so onKeyDown leaves them to Gmail.
+	const simulateKeyPress = (key) => {
+		const keyCode = key.toUpperCase().charCodeAt(0);
+		['keydown', 'keypress', 'keyup'].forEach((eventType) => {
+			(document.activeElement || document.body).dispatchEvent(new KeyboardEvent(eventType, {
+				key,
+				keyCode,
+				which: keyCode,
+				charCode: eventType === 'keypress' ? key.charCodeAt(0) : 0,
+				bubbles: true,
+				cancelable: true,
+				view: window,
+			}));
+		});
+	};
 
-		document.querySelector(bundleSelector).addEventListener('click', (event) => {
-			onBundleClick(event, bundleName);
+	// Select exactly the specified emails with Gmail's own checkboxes, so Gmail's toolbar acts on them
+	const selectEmails = ($emails) => {
+		Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}`)).forEach(($email) => {
+			const $checkbox = $email.querySelector(selectors.EMAIL_CHECKBOX);
+			if ($checkbox && isEmailSelected($email) !== $emails.includes($email)) {
+				simulateClick($checkbox);
+			}
 		});
+	};
+
+	const getVisibleToolbar = () => {
+		return Array.from(document.querySelectorAll(selectors.TOOLBAR)).find(($toolbar) => $toolbar.offsetParent !== null);
+	};
+
+	// Perform one of BUNDLE_ACTIONS on every email in a bundle
+	const runBundleAction = (bundleName, bundleAction) => {
+		const bundle = state.bundles[bundleName];
+		const $emails = bundle && bundleAction.isSkippingPinned ? bundle.filter(($email) => !isEmailPinned($email)) : bundle;
+		if (!$emails || !$emails.length) {
+			return;
+		}
+
+		selectEmails($emails);
+		// Gmail only shows selection actions in its toolbar once emails are selected
+		setTimeout(() => {
+			const $toolbar = getVisibleToolbar();
+			const $actionButtons = $toolbar ? bundleAction.selectors.map((selector) => $toolbar.querySelector(selector)) : [];
+			const $actionButton = $actionButtons.find(($button) => !!$button);
+			if (!$actionButton) {
+				logger.warn('Unable to find Gmail toolbar button for bundle action', bundleAction.title);
+				selectEmails([]);
+				return;
+			}
+			simulateClick($actionButton);
+		}, BULK_ACTION_DELAY);
+	};
+
+	// Adds on-hover bulk actions to a bundle DOM, in place of the email toolbar we remove from the bundle template
+	const insertBundleActionsDom = ($bundle, bundleName) => {
+		const $bundleActions = createElement('div', { className: BUNDLE_ACTIONS_CLASS }, Object.values(BUNDLE_ACTIONS).map((bundleAction) => {
+			const $bundleAction = createElement('div', {
+				className: BUNDLE_ACTION_CLASS,
+				title: bundleAction.title,
+				textContent: bundleAction.icon,
+			});
+			$bundleAction.addEventListener('click', (event) => {
+				// Don't open/close the bundle
+				event.stopPropagation();
+				runBundleAction(bundleName, bundleAction);
+			});
+			return $bundleAction;
+		}));
 
-		updateBundleDom(bundleName);
+		$bundle.append($bundleActions);
 	};
 
 	// Updates bundle DOM unread status, email count, email senders
+	// Set isInserted to `true` when filling in a freshly inserted bundle DOM, which isn't an update of the bundle
 	// TODO: Maybe update label colors?
-	const updateBundleDom = (bundleName) => {
+	const updateBundleDom = (bundleName, isInserted) => {
 		const bundle = state.bundles[bundleName];
-		const $bundle = document.querySelector(getBundleSelector(bundleName));
+		const $bundle = getBundleDom(bundleName);
 		if (!$bundle) {
-			console.warn('Trying to update bundle that was not found in DOM: ', bundleName);
+			logger.warn('Trying to update bundle that was not found in DOM', bundleName);
 			return;
 		}
 
-		console.log('updating bundle maybe', bundleName);
+		logger.debug('Updating bundle', bundleName);
 		const $latestEmail = bundle[0];
+		const $oldestEmail = bundle[bundle.length - 1];
 		const isBundleOpen = state.bundlesVisibility[bundleName];
-		const isUnread = $latestEmail.classList.contains(EMAIL_UNREAD_CLASS) || state.bundlesUnread[bundleName];
-		const renderedEmailCount = `[${bundle.length}]`;
-		let renderedBundleName = `${bundleName} ${renderedEmailCount}`;
-		renderedBundleName =  isUnread ? `<strong>${renderedBundleName}</strong>` : renderedBundleName;
-		renderedBundleName = isBundleOpen ? `<u>${renderedBundleName}</u>` : renderedBundleName;
+		const isUnread = isEmailUnread($latestEmail) || state.bundlesUnread[bundleName];
+		const unreadCount = bundle.filter(isEmailUnread).length;
+		const renderedEmailCount = unreadCount ? `[${unreadCount} unread of ${bundle.length}]` : `[${bundle.length}]`;
+		let $renderedBundleName = document.createTextNode(`${getBundleDisplayName(bundleName)} ${renderedEmailCount}`);
+		$renderedBundleName = isUnread ? createElement('strong', {}, [$renderedBundleName]) : $renderedBundleName;
+		$renderedBundleName = isBundleOpen ? createElement('u', {}, [$renderedBundleName]) : $renderedBundleName;
 		const recentSenders = getRecentSenders(bundleName);
-		const emailDate = $latestEmail.querySelector(EMAIL_SENT_DATE_CLASS).innerText;
+		const newestEmailDate = getElementText($latestEmail, selectors.EMAIL_SENT_DATE);
+		const oldestEmailDate = getElementText($oldestEmail, selectors.EMAIL_SENT_DATE);
+		const emailDate = oldestEmailDate && oldestEmailDate !== newestEmailDate
+			? `${newestEmailDate}${EMAIL_DATE_RANGE_SEPARATOR}${oldestEmailDate}`
+			: newestEmailDate;
+		const $renderedMarkers = Object.values(BUNDLE_MARKERS)
+			.filter((marker) => bundle.some(($email) => !!$email.querySelector(selectors[marker.selectorKey])))
+			.map((marker) => createElement('span', { title: marker.title, textContent: marker.icon, style: marker.color ? `color: ${marker.color};` : '' }));
 
 		const $bundleName = $bundle.querySelector('[data-bundle]');
 		const $emailSenders = $bundle.querySelector('[data-subject]')
 		const $lastReceivedEmailDate = $bundle.querySelector('[data-date]');
-        console.log('$bundle name while updating', $bundleName);
-		if ($bundleName.innerHTML.trim() !== renderedBundleName.trim()) {
-			$bundleName.innerHTML = renderedBundleName;
-		}
-		// Compare innerText so that we don't have to deal with HTML entities, e.g. &amp; vs &
-		// Replace &nbsp; with UNICODE_NBSP to appropriately match & compare the value of innerText
-		if ($emailSenders.innerText.trim() !== recentSenders.join(EMAIL_SENDERS_SEPARATOR.replace(/&nbsp;/g, UNICODE_NBSP)).trim()) {
-			$emailSenders.innerHTML = recentSenders.join(EMAIL_SENDERS_SEPARATOR);
+		const $markers = $bundle.querySelector('[data-markers]');
+		let isChanged = renderChildren($bundleName, [$renderedBundleName]);
+		// Sender names are set as text, so they're never interpreted as markup
+		if ($emailSenders.textContent !== recentSenders.join(EMAIL_SENDERS_SEPARATOR)) {
+			$emailSenders.textContent = recentSenders.join(EMAIL_SENDERS_SEPARATOR);
+			isChanged = true;
 		}
 		if ($lastReceivedEmailDate.innerText.trim() !== emailDate.trim()) {
 			$lastReceivedEmailDate.innerText = emailDate;
+			isChanged = true;
+		}
+		if (renderChildren($markers, $renderedMarkers)) {
+			isChanged = true;
+		}
+		// Bundle DOMs are recreated when moved, so the focus indicator has to be reapplied
+		const isFocused = state.focusedBundleName === bundleName;
+		if ($bundle.classList.contains(FOCUSED_BUNDLE_CLASS) !== isFocused) {
+			$bundle.classList.toggle(FOCUSED_BUNDLE_CLASS, isFocused);
+		}
+		updateBundleRowVisibility(bundleName);
+
+		// Renderers run on every update, as bundle DOMs are recreated when moved
+		state.renderers.forEach((renderer) => {
+			callExtension(renderer, $bundle, getBundleInfo(bundleName));
+		});
+		if (isChanged && !isInserted) {
+			emitBundleEvent(BUNDLE_EVENTS.UPDATED, bundleName);
 		}
 	};
 
-	// TODO OLD: Calling this more often may help fix some bugs outlined in TODO comments below
+	// Normalizes a rule's string condition, which can be a single string or an array of strings
+	const toLowerCaseList = (value) => {
+		return [].concat(value).map((item) => String(item).toLowerCase());
+	};
+
+	// Text conditions are either a RegExp, or a string condition matching if the text contains it
+	const isTextMatching = (text, condition) => {
+		if (condition instanceof RegExp) {
+			// With the `g` or `y` flag, `test` continues from the end of its last match, which is in the text of another email
+			condition.lastIndex = 0;
+			return condition.test(text);
+		}
+		const lowerCaseText = text.toLowerCase();
+		return toLowerCaseList(condition).some((substring) => lowerCaseText.includes(substring));
+	};
+
+	// Saved rules have their RegExp conditions saved as `{ pattern, flags }`, see the `bundleRules` setting
+	//  Returns null for rules we can't use, rather than letting one broken rule stop every email from being bundled
+	const parseSavedRule = (savedRule) => {
+		if (!savedRule || typeof savedRule.bundle !== 'string' || !savedRule.bundle) {
+			logger.warn('Ignoring saved bundle rule without a bundle name', savedRule);
+			return null;
+		}
+		const rule = Object.assign({}, savedRule);
+		try {
+			['subject', 'snippet'].forEach((key) => {
+				if (rule[key] && typeof rule[key] === 'object' && !Array.isArray(rule[key])) {
+					rule[key] = new RegExp(rule[key].pattern, rule[key].flags);
+				}
+			});
+		} catch (error) {
+			logger.warn('Ignoring saved bundle rule with an invalid pattern', savedRule, error);
+			return null;
+		}
+		return rule;
+	};
+
+	// BUNDLE_RULES followed by the rules in the `bundleRules` setting, which are only parsed again once the setting changes
+	const getBundleRules = () => {
+		const savedRules = getSetting('bundleRules');
+		if (state.bundleRules.savedRules !== savedRules) {
+			state.bundleRules = {
+				savedRules,
+				rules: [...BUNDLE_RULES, ...[].concat(savedRules || []).map(parseSavedRule).filter((rule) => !!rule)],
+			};
+		}
+		return state.bundleRules.rules;
+	};
+
+	const getEmailSenderAddresses = ($email) => {
+		return Array.from($email.querySelectorAll(`[${EMAIL_SENDER_ADDRESS_ATTRIBUTE}]`))
+			.map(($sender) => $sender.getAttribute(EMAIL_SENDER_ADDRESS_ATTRIBUTE).toLowerCase());
+	};
+
+	const getEmailLabels = ($email) => {
+		return Array.from($email.querySelectorAll(selectors.EMAIL_LABEL)).map(($emailLabel) => $emailLabel.innerText);
+	};
+
+	const isEmailMatchingRule = ($email, rule) => {
+		if (rule.from !== undefined) {
+			const addresses = toLowerCaseList(rule.from);
+			if (!getEmailSenderAddresses($email).some((address) => addresses.includes(address))) {
+				return false;
+			}
+		}
+		if (rule.domain !== undefined) {
+			const domains = toLowerCaseList(rule.domain);
+			const isDomainMatching = getEmailSenderAddresses($email).some((address) => {
+				const addressDomain = address.split('@').pop();
+				return domains.some((domain) => addressDomain === domain || addressDomain.endsWith(`.${domain}`));
+			});
+			if (!isDomainMatching) {
+				return false;
+			}
+		}
+		if (rule.subject !== undefined) {
+			if (!isTextMatching(getElementText($email, selectors.EMAIL_SUBJECT), rule.subject)) {
+				return false;
+			}
+		}
+		if (rule.snippet !== undefined) {
+			if (!isTextMatching(getElementText($email, selectors.EMAIL_SNIPPET), rule.snippet)) {
+				return false;
+			}
+		}
+		if (rule.hasAttachment !== undefined && !!$email.querySelector(selectors.EMAIL_ATTACHMENT_ICON) !== rule.hasAttachment) {
+			return false;
+		}
+		if (rule.unread !== undefined && isEmailUnread($email) !== rule.unread) {
+			return false;
+		}
+		if (rule.label !== undefined) {
+			const labels = toLowerCaseList(rule.label);
+			if (!getEmailLabels($email).some((label) => labels.includes(label.toLowerCase()))) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	// Narrow down the bundles of an email matching multiple bundles, based off the `multipleLabelsPolicy` setting
+	const applyMultipleLabelsPolicy = (bundleNames) => {
+		if (bundleNames.length <= 1) {
+			return bundleNames;
+		}
+
+		switch (getSetting('multipleLabelsPolicy')) {
+			case MULTIPLE_LABELS_POLICIES.FIRST:
+				return bundleNames.slice(0, 1);
+			case MULTIPLE_LABELS_POLICIES.PRIORITY: {
+				// Unranked bundles rank below ranked bundles, keeping the order Gmail displays their labels in
+				const labelPriority = getSetting('labelPriority');
+				const getRank = (bundleName) => labelPriority.includes(bundleName) ? labelPriority.indexOf(bundleName) : labelPriority.length;
+				return [bundleNames.reduce((highestRanked, bundleName) => getRank(bundleName) < getRank(highestRanked) ? bundleName : highestRanked)];
+			}
+			default:
+				return bundleNames;
+		}
+	};
+
+	// Get the names of every bundle an email belongs to, based off the `bundleMode`, `multipleLabelsPolicy` and `smartBundles` settings
+	const getEmailBundleNames = ($email) => {
+		const bundleMode = getSetting('bundleMode');
+		const excludedLabels = getSetting('excludedLabels');
+		const bundleNames = [];
+		if (bundleMode !== BUNDLE_MODES.RULES) {
+			bundleNames.push(...getEmailLabels($email));
+		}
+		if (bundleMode !== BUNDLE_MODES.LABELS) {
+			getBundleRules().forEach((rule) => {
+				if (isEmailMatchingRule($email, rule)) {
+					bundleNames.push(rule.bundle);
+				}
+			});
+		}
+		state.classifiers.forEach((classifier) => {
+			const classifiedBundleNames = callExtension(classifier, $email);
+			bundleNames.push(...[].concat(classifiedBundleNames || []).filter((bundleName) => typeof bundleName === 'string' && bundleName));
+		});
+
+		// An email can match both a label and a rule of the same bundle name, it should only be bundled once
+		// Excluded labels are removed before applying the policy, so e.g. an excluded primary label falls back to the next label
+		const emailBundleNames = applyMultipleLabelsPolicy(bundleNames.filter((bundleName, i) => {
+			return bundleNames.indexOf(bundleName) === i && !excludedLabels.includes(bundleName);
+		}));
+		if (emailBundleNames.length || bundleMode === BUNDLE_MODES.LABELS) {
+			// Excluded parent labels are removed again once expanded, their sub-bundles are then shown as top-level bundles
+			return isHierarchicalMode()
+				? withParentBundleNames(emailBundleNames).filter((bundleName) => !excludedLabels.includes(bundleName))
+				: emailBundleNames;
+		}
+
+		const enabledSmartBundleNames = getSetting('smartBundles');
+		const smartBundle = SMART_BUNDLES.find((_smartBundle) => {
+			return enabledSmartBundleNames.includes(_smartBundle.bundle)
+				&& !excludedLabels.includes(_smartBundle.bundle)
+				&& _smartBundle.rules.some((rule) => isEmailMatchingRule($email, rule));
+		});
+		return smartBundle ? [smartBundle.bundle] : [];
+	};
+
+	// Classifying emails is the costliest part of bundling, so only emails that are new or changed since the last run are classified
+	const getCachedEmailBundleNames = ($email) => {
+		if (!state.emailsBundleNames.has($email)) {
+			state.emailsBundleNames.set($email, getEmailBundleNames($email));
+			state.stats.classifiedEmails++;
+		}
+		return state.emailsBundleNames.get($email);
+	};
+
+	// Get the bundles that need their DOM updated after setBundleStateToEmails, compared to the bundle state before it
+	//  i.e. bundles that are new, gained/lost/reordered emails, contain changed emails, changed unread status, or lost their DOM
+	const getAffectedBundleNames = (previousState, $dirtyEmails) => {
+		return Object.keys(state.bundles).filter((bundleName) => {
+			const bundle = state.bundles[bundleName];
+			const previousBundle = previousState.bundles[bundleName];
+			return !previousBundle
+				|| previousBundle.length !== bundle.length
+				|| bundle.some(($email, i) => previousBundle[i] !== $email || $dirtyEmails.has($email))
+				|| !!previousState.bundlesUnread[bundleName] !== !!state.bundlesUnread[bundleName]
+				|| !isBundleInDom(bundleName);
+		});
+	};
+
+	// TODO OLD: Calling this more often may help fix some bugs outlined in TODO comments below
 	// TODO: Possible to stablely alter bundles instead of overwriting it?
 	// TODO: Would be nicer if this was less stateful...
 	// Sort all email DOM nodes into an object of arrays, each key representing a label
 	const setBundleStateToEmails = ($emails) => {
-		console.log('setting bundle state to email, incl updating bundle order');
-		const bundles = {};
-		const bundlesUnread = {};
+		logger.debug('Sorting emails into bundles', $emails.length);
+		const bundles = Object.create(null);
+		const bundlesUnread = Object.create(null);
 		const bundlesOrder = []; // `querySelectorAll` is ordered from top-most element to bottom-most, which translates to most-recent to least-recent email
+		const deliveryTimes = getDeliveryTimes();
+		let untimedEmailCount = 0; // Emails of scheduled bundles we can't tell the sent time of
+		const $heldEmails = [];
 		$emails.forEach(($email) => {
-			const $emailLabels = Array.from($email.querySelectorAll(EMAIL_LABEL_CLASS));
-			// Don't bundle emails with no labels
-			if (!$emailLabels.length) {
+			const emailBundleNames = getCachedEmailBundleNames($email);
+			// Don't bundle emails with no labels or matching rules
+			if (!emailBundleNames.length) {
+				if ($email.classList.contains(IS_BUNDLED_CLASS)) {
+					$email.classList.remove(IS_BUNDLED_CLASS);
+				}
 				return;
 			}
 
-			$email.classList.add(IS_BUNDLED_CLASS);
-			$emailLabels.forEach(($emailLabel) => {
-				const label = $emailLabel.innerText;
-				if (!bundles[label]) {
-					bundlesOrder.push(label);
+			if (!$email.classList.contains(IS_BUNDLED_CLASS)) {
+				$email.classList.add(IS_BUNDLED_CLASS);
+			}
+			// Emails received after their scheduled bundle's last delivery wait for its next delivery, hidden
+			if (emailBundleNames.some((bundleName) => deliveryTimes[bundleName] !== undefined) && getEmailTime($email) === null) {
+				untimedEmailCount++;
+			}
+			const deliveredBundleNames = emailBundleNames.filter((bundleName) => isEmailDelivered($email, deliveryTimes[bundleName]));
+			if (!deliveredBundleNames.length) {
+				$heldEmails.push($email);
+			}
+			deliveredBundleNames.forEach((bundleName) => {
+				if (!bundles[bundleName]) {
+					bundlesOrder.push(bundleName);
 				}
-				bundles[label] = bundles[label] || [];
-				bundles[label].push($email);
+				bundles[bundleName] = bundles[bundleName] || [];
+				bundles[bundleName].push($email);
 
-				if ($email.classList.contains(EMAIL_UNREAD_CLASS)) {
-					// bundlesUnread[label] === undefined means there are no unread emails in the bundle
-					bundlesUnread[label] = true;
+				if (isEmailUnread($email)) {
+					// bundlesUnread[bundleName] === undefined means there are no unread emails in the bundle
+					bundlesUnread[bundleName] = true;
 				}
 			});
 		});
 
+		if (getSetting('bundleOrderMode') === BUNDLE_ORDER_MODES.CUSTOM) {
+			// Bundles missing from the custom order keep their most-recent-first order after the ordered bundles
+			const bundleOrder = getSetting('bundleOrder');
+			const getOrderIndex = (bundleName) => bundleOrder.includes(bundleName) ? bundleOrder.indexOf(bundleName) : bundleOrder.length;
+			bundlesOrder.sort((a, b) => getOrderIndex(a) - getOrderIndex(b));
+		}
+
+		if (untimedEmailCount && !state.isUntimedEmailWarned) {
+			state.isUntimedEmailWarned = true;
+			logger.warn('Unable to tell the sent time of emails of scheduled bundles, delivering them immediately', untimedEmailCount);
+		}
+
 		state.bundlesUnread = bundlesUnread;
 		state.bundlesOrder = bundlesOrder;
 		state.bundles = bundles;
+		state.deliveryTimes = deliveryTimes;
+		state.heldEmails = $heldEmails;
 	}
 
+	// Get the timestamp of the most recent scheduled delivery, or null if the bundle is delivered immediately
+	const getLastDeliveryTime = (delivery) => {
+		if (!delivery || !delivery.frequency || delivery.frequency === DELIVERY_FREQUENCIES.IMMEDIATELY) {
+			return null;
+		}
+
+		const now = new Date();
+		const [hours, minutes] = (delivery.time || DEFAULT_DELIVERY_TIME).split(':').map(Number);
+		const deliveryDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+		const periodDays = delivery.frequency === DELIVERY_FREQUENCIES.WEEKLY ? 7 : 1;
+		if (periodDays === 7) {
+			deliveryDate.setDate(deliveryDate.getDate() - ((now.getDay() - (delivery.day || 0) + 7) % 7));
+		}
+		if (deliveryDate > now) {
+			deliveryDate.setDate(deliveryDate.getDate() - periodDays);
+		}
+		return deliveryDate.getTime();
+	};
+
+	// [bundleName] : timestamp, the last scheduled delivery of every bundle with a delivery schedule
+	const getDeliveryTimes = () => {
+		const bundlePreferences = getSetting('bundlePreferences');
+		const deliveryTimes = Object.create(null);
+		Object.keys(bundlePreferences).forEach((bundleName) => {
+			const deliveryTime = getLastDeliveryTime(bundlePreferences[bundleName].delivery);
+			if (deliveryTime !== null) {
+				deliveryTimes[bundleName] = deliveryTime;
+			}
+		});
+		return deliveryTimes;
+	};
+
+	// Get the email sent time from its message ID, falling back to parsing the date's title. Null if neither is understood,
+	//  e.g. the date's title in a Gmail language other than English.
+	const getEmailTime = ($email) => {
+		const $messageId = $email.querySelector(selectors.EMAIL_MESSAGE_ID);
+		const messageId = $messageId ? $messageId.getAttribute('data-legacy-last-message-id') : null;
+		if (messageId && /^[0-9a-f]{1,16}$/i.test(messageId)) {
+			return Math.floor(parseInt(messageId, 16) / MESSAGE_ID_TIME_SHIFT);
+		}
+
+		const $sentTime = $email.querySelector(selectors.EMAIL_SENT_TIME);
+		const sentTime = $sentTime ? Date.parse($sentTime.getAttribute('title').replace(/[\u202F\u00A0]/g, ' ')) : NaN;
+		return isNaN(sentTime) ? null : sentTime;
+	};
+
+	// Emails we can't tell the sent time of are always delivered, rather than held back forever
+	const isEmailDelivered = ($email, deliveryTime) => {
+		if (deliveryTime === undefined) {
+			return true;
+		}
+		const emailTime = getEmailTime($email);
+		return emailTime === null || emailTime <= deliveryTime;
+	};
+
+	// Rebundle once a scheduled bundle is due for delivery, as no DOM mutation tells us the time has come
+	const checkDeliveries = () => {
+		if (!state.bundlizerObserver || JSON.stringify(getDeliveryTimes()) === JSON.stringify(state.deliveryTimes)) {
+			return;
+		}
+		// Only bundles whose emails changed are updated, as for observed mutations
+		runBundlizer(new Set());
+	};
+
+	// Sub-bundles without a notification policy of their own follow their parent bundle's
+	const getNotificationPolicy = (bundleName) => {
+		const notificationPolicy = getBundlePreference(bundleName).notification;
+		if (notificationPolicy) {
+			return notificationPolicy;
+		}
+		const parentBundleName = getParentBundleName(bundleName);
+		return parentBundleName ? getNotificationPolicy(parentBundleName) : DEFAULT_NOTIFICATION_POLICY;
+	};
+
+	// Unread emails received since the previous run, i.e. emails that weren't anywhere in the email list before and are more recent than any email seen.
+	//  Older emails also join the email list, e.g. pulled onto the first page when emails above are archived, or joining a bundle when labeled.
+	//  Parent bundles leave out the emails of their sub-bundles, which notify on their own.
+	const getNewUnreadEmails = (bundleName) => {
+		const seenEmails = state.seenEmails;
+		return getBundleOwnEmails(bundleName).filter(($email) => {
+			const threadId = getEmailThreadId($email);
+			const emailTime = getEmailTime($email);
+			return isEmailUnread($email)
+				&& !seenEmails.$emails.has($email)
+				&& !(threadId && seenEmails.threadIds.has(threadId))
+				&& emailTime !== null && (seenEmails.newestTime === null || emailTime > seenEmails.newestTime);
+		});
+	};
+
+	const addSeenEmails = ($emails) => {
+		const seenEmails = state.seenEmails;
+		$emails.forEach(($email) => {
+			const threadId = getEmailThreadId($email);
+			const emailTime = getEmailTime($email);
+			seenEmails.$emails.add($email);
+			if (threadId) {
+				seenEmails.threadIds.add(threadId);
+			}
+			if (emailTime !== null && (seenEmails.newestTime === null || emailTime > seenEmails.newestTime)) {
+				seenEmails.newestTime = emailTime;
+			}
+		});
+	};
+
+	// Show a desktop notification for bundles with the notify policy that new unread emails joined
+	const notifyNewUnreadEmails = () => {
+		if (!('Notification' in window) || Notification.permission !== 'granted') {
+			return;
+		}
+
+		Object.keys(state.bundles)
+			.filter((bundleName) => getNotificationPolicy(bundleName) === NOTIFICATION_POLICIES.NOTIFY)
+			.forEach((bundleName) => {
+				const $newUnreadEmails = getNewUnreadEmails(bundleName);
+				if (!$newUnreadEmails.length) {
+					return;
+				}
+
+				const notification = new Notification(`${getBundleDisplayName(bundleName)}: ${$newUnreadEmails.length} new email${$newUnreadEmails.length === 1 ? '' : 's'}`, {
+					body: $newUnreadEmails
+						.map(($email) => `${getElementText($email, selectors.EMAIL_SENDER_WRAPPER)}: ${getElementText($email, selectors.EMAIL_SUBJECT)}`)
+						.join('\n'),
+					tag: getBundleId(bundleName), // Replaces the bundle's previous notification rather than piling up
+				});
+				notification.addEventListener('click', () => {
+					window.focus();
+					setBundleOpen(bundleName, true);
+					notification.close();
+				});
+			});
+	};
+
+	// Unread emails of the email list that are held back until their bundle's delivery, or only in muted bundles
+	//  Sub-bundles own the emails of their nested label, so they can be muted separately from their parent bundle
+	const getMutedUnreadCount = ($emails) => {
+		const $bundledEmails = new Set();
+		const $unmutedEmails = new Set();
+		Object.keys(state.bundles).forEach((bundleName) => {
+			const isMuted = getNotificationPolicy(bundleName) === NOTIFICATION_POLICIES.MUTE;
+			getBundleOwnEmails(bundleName).forEach(($email) => {
+				$bundledEmails.add($email);
+				if (!isMuted) {
+					$unmutedEmails.add($email);
+				}
+			});
+		});
+		return $emails.filter(($email) => isEmailUnread($email)
+			&& (state.heldEmails.includes($email) || ($bundledEmails.has($email) && !$unmutedEmails.has($email)))).length;
+	};
+
+	// Show Gmail's unread count without muted emails in the tab title & favicon. Gmail's count covers every unread email,
+	//  not only the ones loaded in the email list, so we only take the muted emails we can see off it.
+	// Gmail rewrites its title & favicon whenever it likes, so whatever Gmail last set is kept as the base we render onto,
+	//  and restored while no email list is bundled.
+	const renderUnreadBadge = () => {
+		const unreadBadge = state.unreadBadge;
+		if (document.title !== unreadBadge.renderedTitle) {
+			unreadBadge.gmailTitle = document.title;
+		}
+		let title = unreadBadge.gmailTitle;
+		unreadBadge.count = null;
+		if (state.isListBundled) {
+			const gmailCountMatch = unreadBadge.gmailTitle.match(GMAIL_TITLE_COUNT_PATTERN);
+			const gmailCount = gmailCountMatch ? parseInt(gmailCountMatch[1].replace(/\D/g, ''), 10) : 0;
+			unreadBadge.count = Math.max(0, gmailCount - unreadBadge.mutedCount);
+			title = title.replace(GMAIL_TITLE_COUNT_PATTERN, unreadBadge.count ? ` (${unreadBadge.count.toLocaleString()})` : '');
+		}
+		unreadBadge.renderedTitle = title;
+		if (document.title !== title) {
+			document.title = title;
+		}
+		renderFaviconBadge();
+	};
+
+	const renderFaviconBadge = () => {
+		const unreadBadge = state.unreadBadge;
+		const $favicon = document.querySelector(FAVICON_SELECTOR);
+		if (!$favicon) {
+			return;
+		}
+		if ($favicon.href !== unreadBadge.renderedFaviconHref) {
+			unreadBadge.gmailFaviconHref = $favicon.href;
+		}
+		if (!unreadBadge.count) {
+			unreadBadge.faviconKey = null;
+			if ($favicon.href !== unreadBadge.gmailFaviconHref) {
+				$favicon.href = unreadBadge.gmailFaviconHref;
+			}
+			return;
+		}
+
+		const faviconKey = `${unreadBadge.count} ${unreadBadge.gmailFaviconHref}`;
+		if (unreadBadge.faviconKey === faviconKey) {
+			return;
+		}
+		unreadBadge.faviconKey = faviconKey;
+		const $image = new Image();
+		$image.crossOrigin = 'anonymous';
+		$image.addEventListener('load', () => {
+			// The unread count or Gmail's favicon may have changed while the favicon loaded
+			if (unreadBadge.faviconKey !== faviconKey) {
+				return;
+			}
+			const faviconHref = drawFaviconBadge($image, unreadBadge.count);
+			if (faviconHref) {
+				unreadBadge.renderedFaviconHref = faviconHref;
+				$favicon.href = faviconHref;
+			}
+		});
+		$image.src = unreadBadge.gmailFaviconHref;
+	};
+
+	// Returns the favicon with the unread count drawn onto it as a data URL,
+	//  or null if it can't be drawn onto, e.g. the favicon is served without CORS headers
+	const drawFaviconBadge = ($image, count) => {
+		const $canvas = createElement('canvas', { width: FAVICON_SIZE, height: FAVICON_SIZE });
+		const context = $canvas.getContext('2d');
+		if (!context) {
+			return null;
+		}
+
+		const badgeText = count > MAX_FAVICON_BADGE_COUNT ? `${MAX_FAVICON_BADGE_COUNT}+` : `${count}`;
+		const badgeRadius = Math.round(FAVICON_SIZE * 0.35);
+		const badgeCenter = FAVICON_SIZE - badgeRadius;
+		context.drawImage($image, 0, 0, FAVICON_SIZE, FAVICON_SIZE);
+		context.fillStyle = FAVICON_BADGE_COLOR;
+		context.beginPath();
+		context.arc(badgeCenter, badgeCenter, badgeRadius, 0, 2 * Math.PI);
+		context.fill();
+		context.fillStyle = 'rgb(255, 255, 255)';
+		context.font = `bold ${Math.round(FAVICON_SIZE * (badgeText.length > 2 ? 0.3 : 0.45))}px sans-serif`;
+		context.textAlign = 'center';
+		context.textBaseline = 'middle';
+		context.fillText(badgeText, badgeCenter, badgeCenter);
+		try {
+			return $canvas.toDataURL('image/png');
+		} catch (error) {
+			return null;
+		}
+	};
+
+	// Rerender the unread badge whenever Gmail changes the tab title or favicon
+	const observeHead = () => {
+		if (state.headObserver || !document.head) {
+			return;
+		}
+		state.headObserver = new MutationObserver(renderUnreadBadge);
+		state.headObserver.observe(document.head, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['href'] });
+	};
+
 	// Get most recent 1-3 email senders of specified bundle
 	// Displayed in the email subject area for the bundle DOM, mirroring Google Inbox
 	const getRecentSenders = (bundleName) => {
 		const bundle = state.bundles[bundleName];
 		const emailSenders = [];
-		for(var i = 0; i < MAX_SENDERS_BUNDLE_DESC; i++) {
+		for(var i = 0; i < getSetting('maxSenders'); i++) {
 			const $email = bundle[i];
 			if (!$email) {
 				break;
 			}
 
-			// TODO: In Apartments label, after switching many labels, bundling breaks with a console error `Cannot read property 'innerText' of null` Why?
-			emailSenders.push($email.querySelector(EMAIL_SENDER_WRAPPER_CLASS).innerText);
+			emailSenders.push(getElementText($email, selectors.EMAIL_SENDER_WRAPPER));
 		}
 
 		return emailSenders;
 	};
 
 	const moveBundleDoms = ($email, bundleNames, isPlacedAfter) => {
-		console.log('moving bundles:', bundleNames);
+		logger.debug('Moving bundles', bundleNames);
 		bundleNames.reverse().forEach((bundleName) => {
-			const $bundle = document.querySelector(getBundleSelector(bundleName));
+			const $bundle = getBundleDom(bundleName);
 			// We don't want to move the bundle if it's already appropriately in position.
 			//  If we were to do that, we'd cause a redundant loop of the DOM being updated thanks to our mutatationobserver
 			// Get a list of all emails before/after $email
-			const $allEmails = Array.from($email.parentElement.querySelectorAll(EMAIL_CLASS));
+			const $allEmails = Array.from($email.parentElement.querySelectorAll(getEmailListRowsSelector()));
 			const $positionedEmails = isPlacedAfter ?
 				$allEmails.splice($allEmails.indexOf($email), $allEmails.length)
 				: $allEmails.splice(0, $allEmails.indexOf($email));
@@ -347,40 +1987,98 @@ Plan Notes:
 		});
 	};
 
+	// Group all bundle DOMs at the top of the email list in the order of state.bundlesOrder, used in custom order mode
+	const moveBundleDomsToTop = () => {
+		const $firstEmail = document.querySelector(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`);
+		if (!$firstEmail) {
+			return;
+		}
+
+		// Only move bundles if they're out of order, to avoid a redundant loop of DOM updates from our mutation observer
+		const topBundleNames = [];
+		let $previousElement = $firstEmail.previousElementSibling;
+		while ($previousElement && $previousElement.classList.contains(BUNDLE_CLASS_PREFIX)) {
+			topBundleNames.unshift($previousElement.getAttribute('data-bundlename'));
+			$previousElement = $previousElement.previousElementSibling;
+		}
+		if (topBundleNames.join('\n') === state.bundlesOrder.join('\n')) {
+			return;
+		}
+
+		state.bundlesOrder.forEach((bundleName) => {
+			const $bundle = getBundleDom(bundleName);
+			if ($bundle) {
+				$bundle.remove();
+			}
+			insertBundleDom($firstEmail, bundleName);
+		});
+	};
+
 	// Resets all bundle DOMs back to their appropriate position, depending on whether a bundle is opened or they're all closed
 	const resetBundleDomsPosition = () => {
 		const bundleNames = Object.keys(state.bundles);
 		const visibleBundleName = getVisibleBundleName();
-		if (visibleBundleName) { // If a bundle is open, order necessary bundle DOMs after open bundle
+		if (isInlineOpenMode()) {
+			// Headers are placed beneath their bundle DOM, so they're recreated once bundle DOMs are positioned
+			const openBundleNames = getOpenBundleNames();
+			openBundleNames.forEach(restoreInlineEmails);
+			positionClosedBundleDoms(bundleNames);
+			openBundleNames.forEach(expandBundleInline);
+		} else if (visibleBundleName) { // If a bundle is open, order necessary bundle DOMs after open bundle
 			const visibleBundle = state.bundles[visibleBundleName];
+			// Sub-bundles of the open bundle stay in the position of their latest email, among the open bundle's emails
 			const bundlesAfterVisibleBundle = [...state.bundlesOrder]
-			.splice(state.bundlesOrder.indexOf(visibleBundleName) + 1, state.bundlesOrder.length);
-			console.log('moving bundles after this bundle', bundlesAfterVisibleBundle);
+			.splice(state.bundlesOrder.indexOf(visibleBundleName) + 1, state.bundlesOrder.length)
+			.filter((bundleName) => !isDescendantBundleName(bundleName, visibleBundleName));
+			logger.debug('Moving bundles after the open bundle', bundlesAfterVisibleBundle);
 			moveBundleDoms(visibleBundle[visibleBundle.length - 1], bundlesAfterVisibleBundle, true);
-		} else { // If all bundles are closed, position bundles in the spot of their latest email
+		} else {
+			positionClosedBundleDoms(bundleNames);
+		}
+	};
+
+	// Position bundle DOMs as if all bundles are closed
+	const positionClosedBundleDoms = (bundleNames) => {
+		if (getSetting('bundleOrderMode') === BUNDLE_ORDER_MODES.CUSTOM) {
+			moveBundleDomsToTop();
+		} else { // Position bundles in the spot of their latest email, or of their delivery time for scheduled bundles
 			bundleNames.forEach((bundleName) => {
-				const $latestEmail = state.bundles[bundleName][0];
-				moveBundleDoms($latestEmail, [bundleName]);
+				moveBundleDoms(getBundlePositionEmail(bundleName), [bundleName]);
 			});
 		}
 	};
 
+	// Scheduled bundles are placed where an email received at their delivery time would be, i.e. above the first email sent before it
+	const getBundlePositionEmail = (bundleName) => {
+		const $latestEmail = state.bundles[bundleName][0];
+		const deliveryTime = state.deliveryTimes[bundleName];
+		if (deliveryTime === undefined) {
+			return $latestEmail;
+		}
+
+		const $emails = Array.from($latestEmail.parentElement.querySelectorAll(`${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`));
+		return $emails.find(($email) => {
+			const emailTime = getEmailTime($email);
+			return emailTime !== null && emailTime <= deliveryTime;
+		}) || $latestEmail;
+	};
+
 	// Show only bundled emails, hide everything else.
 	// We must hide at minimum every email between the bundled emails,
 	//  as Gmail relies heavily on the order the email was originally in when displaying an email that's been clicked on
 	const showBundledEmails = (bundleName) => {
-		const bundle = state.bundles[bundleName];
-		console.log('showBundledEmails', bundleName);
+		// Sub-bundle emails stay hidden, represented by their sub-bundle
+		const bundle = getBundleOwnEmails(bundleName);
+		logger.debug('Showing emails of bundle', bundleName);
 
 		// TODO: Maybe reduce $emailsToHide instead of doing bundles.forEach?
 		// Hide emails that aren't in the shown bundle
-		const $emailsToHide = Array.from(document.querySelectorAll(`${VISIBLE_EMAIL_TABLE_CLASS} ${EMAIL_CLASS}:not(.${BUNDLE_CLASS_PREFIX})`));
+		const $emailsToHide = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`));
 		// Unhide emails that are in shown bundle
 		bundle.forEach(($email) => {
 			$emailsToHide.splice($emailsToHide.indexOf($email), 1);
 			if ($email.classList.contains(HIDDEN_EMAIL_CLASS)) {
 				$email.classList.remove(HIDDEN_EMAIL_CLASS);
-				$email.style.display = EMAIL_DEFAULT_DISPLAY;
 			}
 		});
 
@@ -394,31 +2092,95 @@ Plan Notes:
 
 	// When we want to toggle a bundle off, we want to show emails that we hid in showBundledEmails
 	const showUnbundledEmails = () => {
-		console.log('showing unbundled emails');
-		const $emailsToShow = Array.from(document.querySelectorAll(`${VISIBLE_EMAIL_TABLE_CLASS} ${EMAIL_CLASS}.${HIDDEN_EMAIL_CLASS}:not(.${IS_BUNDLED_CLASS})`));
+		logger.debug('Showing unbundled emails');
+		const $emailsToShow = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}.${HIDDEN_EMAIL_CLASS}`))
+			.filter(($email) => !$email.classList.contains(IS_BUNDLED_CLASS) || $email.classList.contains(PINNED_EMAIL_CLASS));
 		$emailsToShow.forEach(($email) => {
 			$email.classList.remove(HIDDEN_EMAIL_CLASS);
-			$email.style.display = EMAIL_DEFAULT_DISPLAY;
 		});
 	};
 
 	const hideEmails = ($emails) => {
 		$emails.forEach(($email) => {
-			// Add a class to allow us to later select and unhide all programatically hidden emails
+			// The class hides the email, and allows us to later select and unhide all programatically hidden emails
+			//  Removing it restores the email's own display, whatever Gmail uses
 			if (!$email.classList.contains(HIDDEN_EMAIL_CLASS)) {
-				console.log('hiding email for real', $emails);
+				logger.debug('Hiding email', $email);
 				$email.classList.add(HIDDEN_EMAIL_CLASS);
-				$email.style.display = 'none';
 			}
 		});
 	};
 
+	// Hide bundled emails, except pinned emails, which stay visible in the email list
+	const hideBundledEmails = ($emails) => {
+		hideEmails($emails.filter(($email) => !$email.classList.contains(PINNED_EMAIL_CLASS)));
+	};
+
+	const getEmailThreadId = ($email) => {
+		const $threadId = $email.querySelector(selectors.EMAIL_THREAD_ID);
+		return $threadId ? $threadId.getAttribute('data-thread-id') || $threadId.getAttribute('data-legacy-thread-id') : null;
+	};
+
+	const isEmailPinned = ($email) => {
+		const threadId = getEmailThreadId($email);
+		return !!threadId && getSetting('pinnedThreads').includes(threadId);
+	};
+
+	// Add the pin control to an email if it's missing, e.g. Gmail rerendered the email, and sync its pinned class with the `pinnedThreads` setting
+	//  Emails we can't tell the thread of can't be pinned
+	const updateEmailPin = ($email) => {
+		if (!getEmailThreadId($email)) {
+			return;
+		}
+
+		const isPinned = isEmailPinned($email);
+		const $date = $email.querySelector(selectors.EMAIL_SENT_DATE);
+		let $pinControl = $email.querySelector(`.${PIN_CONTROL_CLASS}`);
+		// Selectors only need to match some email rows, so the pin control may have nowhere to go
+		if (!$pinControl && $date) {
+			$pinControl = createElement('span', { className: PIN_CONTROL_CLASS, textContent: '\u{1F4CC}' });
+			$pinControl.addEventListener('click', (event) => {
+				// Don't open the email
+				event.preventDefault();
+				event.stopPropagation();
+				runUntracked(() => {
+					togglePinnedEmail($email);
+				});
+			});
+			($date.closest('td') || $date.parentElement).prepend($pinControl);
+		}
+		if ($email.classList.contains(PINNED_EMAIL_CLASS) !== isPinned) {
+			$email.classList.toggle(PINNED_EMAIL_CLASS, isPinned);
+		}
+		const pinTitle = isPinned ? 'Unpin, hiding it in its bundle' : 'Pin, keeping it visible outside of its bundle';
+		if ($pinControl && $pinControl.title !== pinTitle) {
+			$pinControl.title = pinTitle;
+		}
+	};
+
+	const togglePinnedEmail = ($email) => {
+		const threadId = getEmailThreadId($email);
+		const pinnedThreads = getSetting('pinnedThreads').filter((pinnedThreadId) => pinnedThreadId !== threadId);
+		const isPinned = !isEmailPinned($email);
+		setSetting('pinnedThreads', isPinned ? [...pinnedThreads, threadId] : pinnedThreads);
+		updateEmailPin($email);
+		// Rebundling the email hides it again if it's unpinned and its bundles are closed
+		runBundlizer(new Set([$email]));
+	};
+
 	const getVisibleBundleName = () => {
 		return Object.keys(state.bundlesVisibility).find((key) => {
 			return state.bundlesVisibility[key];
 		});
 	};
 
+	// Names of all open bundles, several bundles can be open at once in inline open mode
+	const getOpenBundleNames = () => {
+		return Object.keys(state.bundlesVisibility).filter((key) => {
+			return state.bundlesVisibility[key];
+		});
+	};
+
 	// TODO: MAYBE FIXED Sometimes more emails are removed than should be, i.e. ones unrelated to bundles. Can repro by switching from inbox to label then back to inbox
 	// TODO IMPORTANT: MAYBE FIXED after converting bundle dom from tr/td to div... original: There are definitely some bugs when switching to/from labels. I eventually saw `Cannot read property 'addEventListener' of null at insertBundleDom (<anonymous>:139:44)`
 	//  MAYBE FIXED Gmail also starts bugging out when you switch labels. Forever `Loading` tooltip at the top, Error `Error in protected function: Cannot read property 'Fy' of undefined` in console
@@ -427,53 +2189,99 @@ Plan Notes:
 	// TODO MAYBE: Sometimes we try to insert bundle DOM but the $email is no longer in the DOM, e.g. after switching back and forth in gmail labels/inbox. How do we fix this?
 	// TODO: If new email is received that is going to get bundled, need to move bundle up to that email's spot, and update bundle date.
 	// TODO: (Hard to repo, still happens I think) Ever since converting to a user script, sometimes a the first email from the first bundle appears when we're in the default view of not viewing any bundle. Why?
-	// TODO: When you open a bundle while in a label, then go back to inbox, non-bundled emails are still hidden. Sometimes even an entire bundle is invisible. FIX?: When changing from label to inbox/vice versa, need to close all bundles.
-	const runBundlizer = (m) => {
-		console.log('running bundlizer', m);
-        initBundleTemplateHTML();
-		const $emailTable = document.querySelector(VISIBLE_EMAIL_TABLE_CLASS);
-		if (!$emailTable) { // If we're not on an email list page
-			return;
+	// Pass the emails that changed since the last run as $dirtyEmails to only update bundles affected by them.
+	//  Without $dirtyEmails, every email is reclassified and every bundle updated.
+	const runBundlizer = ($dirtyEmails) => {
+		logger.debug('Running bundlizer', $dirtyEmails || 'all emails');
+		runUntracked(() => {
+			const runStart = performance.now();
+			const isBundled = bundleEmails($dirtyEmails);
+			if (!isBundled) {
+				return;
+			}
+
+			const runMs = performance.now() - runStart;
+			state.stats.runs++;
+			state.stats[$dirtyEmails ? 'incrementalRuns' : 'fullRuns']++;
+			state.stats.lastRunMs = runMs;
+			state.stats.maxRunMs = Math.max(state.stats.maxRunMs, runMs);
+			state.stats.totalRunMs += runMs;
+		});
+	};
+
+	// Returns `true` if an email list was bundled
+	const bundleEmails = ($dirtyEmails) => {
+		syncView();
+		if (!isBundlingEnabled() || checkLayout() !== LAYOUT_STATUSES.SUPPORTED) {
+			return false;
+		}
+        initBundleTemplate();
+		const $emailTable = document.querySelector(selectors.VISIBLE_EMAIL_TABLE);
+		if (!$emailTable || !state.$bundleTemplate) { // If we're not on an email list page
+			return false;
+		}
+		syncListStyles($emailTable);
+
+		if ($dirtyEmails) {
+			$dirtyEmails.forEach(($email) => {
+				state.emailsBundleNames.delete($email);
+			});
+		} else {
+			state.emailsBundleNames = new WeakMap();
 		}
 
-		const $emails = Array.from($emailTable.querySelectorAll(`${VISIBLE_EMAIL_TABLE_CLASS} ${EMAIL_CLASS}`));
+		const $emails = Array.from($emailTable.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}`));
+		$emails.forEach(updateEmailPin);
+		const previousState = { bundles: state.bundles, bundlesUnread: state.bundlesUnread, bundlesOrder: state.bundlesOrder };
 		setBundleStateToEmails($emails);
 		const bundleNames = Object.keys(state.bundles);
+		const affectedBundleNames = $dirtyEmails ? getAffectedBundleNames(previousState, $dirtyEmails) : bundleNames;
+		const isOrderChanged = previousState.bundlesOrder.join('\n') !== state.bundlesOrder.join('\n');
 
 		// Remove any orphaned bundles, e.g. last bundle in email had its label removed
 		// If orphaned bundle is currently visible, revert to showing unbundled emails
-		Array.from(document.querySelectorAll(`.${BUNDLE_CLASS_PREFIX}`))
+		Array.from($emailTable.querySelectorAll(`.${BUNDLE_CLASS_PREFIX}`))
 			.forEach(($bundle) => {
 				const bundleName = $bundle.getAttribute('data-bundlename');
 				if (!bundleNames.includes(bundleName)) {
 					if (state.bundlesVisibility[bundleName]) {
-						showUnbundledEmails();
+						if (isInlineOpenMode()) {
+							restoreInlineEmails(bundleName);
+						} else {
+							showUnbundledEmails();
+						}
 					}
 					delete state.bundlesVisibility[bundleName];
 					$bundle.remove();
+					emitBundleEvent(BUNDLE_EVENTS.REMOVED, bundleName);
 				}
 			});
 
-		bundleNames.forEach((bundleName) => {
+		affectedBundleNames.forEach((bundleName) => {
 			const bundle = state.bundles[bundleName];
 			const $latestEmail = bundle[0];
+			state.stats.updatedBundles++;
 
 			// Initialize bundle visibility if necessary
 			state.bundlesVisibility[bundleName] = state.bundlesVisibility[bundleName] || false;
 
 			// Initialize or update the bundle DOM
-			if (!document.querySelector(getBundleSelector(bundleName))) {
+			if (!isBundleInDom(bundleName)) {
 				insertBundleDom($latestEmail, bundleName);
+				emitBundleEvent(BUNDLE_EVENTS.CREATED, bundleName);
 			} else {
 				updateBundleDom(bundleName);
 			}
 
 			// Keep visibility of emails consistent
 			if (!state.bundlesVisibility[bundleName]) {
-				hideEmails(bundle);
+				hideBundledEmails(bundle);
 			}
 		});
-		resetBundleDomsPosition();
+		hideBundledEmails(state.heldEmails);
+		if (affectedBundleNames.length || isOrderChanged) {
+			resetBundleDomsPosition();
+		}
 
 		// This helps us hide emails that are no longer bundled, e.g. their label was removed
 		// This also ensures we show bundled emails that are part of multiple bundles
@@ -482,13 +2290,995 @@ Plan Notes:
 		//  We should update the logic above that calls `hideEmails`, and either update `hideEmails`, add a new method, or update the logic itself
 		//   to NEVER hide emails with the visible bundle's label/attribute. This'll remove the lag, and likely remove the need for this call below!
 		const visibleBundleName = getVisibleBundleName();
-		if (visibleBundleName) {
+		if (visibleBundleName && !isInlineOpenMode() && (affectedBundleNames.length || isOrderChanged)) {
 			showBundledEmails(visibleBundleName);
 		}
+
+		restoreOpenBundles($emails);
+		// Emails bundled on load or when switching email lists aren't new, whether or not that first run was triggered by a mutation
+		if (state.isListBundled) {
+			notifyNewUnreadEmails();
+		}
+		state.isListBundled = true;
+		addSeenEmails($emails);
+		state.unreadBadge.mutedCount = getMutedUnreadCount($emails);
+		renderUnreadBadge();
+		return true;
+	};
+
+	// Run our own DOM updates, discarding the mutations they cause so they never trigger a rebundle
+	const runUntracked = (fn) => {
+		// Nested calls are covered by the outermost call
+		if (!state.bundlizerObserver || state.isRunningUntracked) {
+			fn();
+			return;
+		}
+
+		// Mutations observed before fn runs are Gmail's, keep them
+		const gmailMutations = state.bundlizerObserver.takeRecords();
+		if (gmailMutations.length) {
+			onBundlizerMutations(gmailMutations);
+		}
+		state.isRunningUntracked = true;
+		try {
+			fn();
+		} finally {
+			state.isRunningUntracked = false;
+			state.stats.selfInflictedMutations += state.bundlizerObserver.takeRecords().length;
+		}
+	};
+
+	const getEmailOfNode = ($node) => {
+		const $element = $node.nodeType === Node.ELEMENT_NODE ? $node : $node.parentElement;
+		return $element ? $element.closest(`${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`) : null;
+	};
+
+	const isBundleNode = ($node) => {
+		const $element = $node.nodeType === Node.ELEMENT_NODE ? $node : $node.parentElement;
+		return !!$element && !!$element.closest(`.${BUNDLE_CLASS_PREFIX}`);
+	};
+
+	// Emails within an added/removed node, including the node itself
+	const getEmailsOfNode = ($node) => {
+		if ($node.nodeType !== Node.ELEMENT_NODE) {
+			return [];
+		}
+		const $emails = Array.from($node.querySelectorAll(`${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`));
+		return $node.matches(`${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`) ? [$node, ...$emails] : $emails;
+	};
+
+	const withoutOwnClasses = (className) => {
+		return (className || '').split(/\s+/).filter((_className) => _className && !OWN_EMAIL_CLASSES.includes(_className)).join(' ');
+	};
+
+	// Sort observed mutations into the emails they changed. `isRelevant` is `false` if no mutation affects bundling.
+	const summarizeMutations = (mutations) => {
+		const $dirtyEmails = new Set();
+		let isRelevant = false;
+		mutations.forEach((mutation) => {
+			// Only we change the inside of bundle DOMs
+			if (isBundleNode(mutation.target)) {
+				return;
+			}
+
+			const $email = getEmailOfNode(mutation.target);
+			if (mutation.type === 'attributes' && mutation.target === $email
+				&& withoutOwnClasses(mutation.oldValue) === withoutOwnClasses($email.className)) {
+				return;
+			}
+			if ($email) {
+				$dirtyEmails.add($email);
+				isRelevant = true;
+				return;
+			}
+
+			if (mutation.type === 'childList') {
+				const $changedNodes = [...Array.from(mutation.addedNodes), ...Array.from(mutation.removedNodes)];
+				$changedNodes.forEach(($node) => {
+					const $changedEmails = getEmailsOfNode($node);
+					$changedEmails.forEach(($changedEmail) => {
+						$dirtyEmails.add($changedEmail);
+					});
+					// Also rebundle if Gmail removed one of our bundle DOMs, e.g. when rerendering the email list
+					if ($changedEmails.length || isBundleNode($node)) {
+						isRelevant = true;
+					}
+				});
+			}
+		});
+		return { isRelevant, $dirtyEmails };
+	};
+
+	const processPendingMutations = () => {
+		const mutations = state.pendingMutations;
+		state.pendingMutations = [];
+		const mutationsSummary = summarizeMutations(mutations);
+		if (!mutationsSummary.isRelevant) {
+			state.stats.ignoredMutations += mutations.length;
+			return;
+		}
+		runBundlizer(mutationsSummary.$dirtyEmails);
+	};
+
+	// Debounce to ensure we don't call runBundlizer unnecessarily often, batching Gmail's mutations together
+	const processPendingMutationsDebounced = debounce(processPendingMutations, BUNDLE_UPDATE_DELAY);
+
+	const onBundlizerMutations = (mutations) => {
+		state.stats.observedMutations += mutations.length;
+		state.pendingMutations.push(...mutations);
+		processPendingMutationsDebounced();
+	};
+
+	// Text of the first element matching the selector, or '' if the Gmail layout doesn't have it
+	const getElementText = ($root, selector) => {
+		const $element = $root.querySelector(selector);
+		return $element ? $element.innerText : '';
+	};
+
+	const isEmailUnread = ($email) => {
+		return $email.matches(selectors.EMAIL_UNREAD);
+	};
+
+	// Get the class names of a class selector, e.g. `['pG', 'pH']` of `.pG.pH`, or none if it isn't only made of classes
+	const getSelectorClasses = (selector) => {
+		return /^(\.[\w-]+)+$/.test(selector) ? selector.slice(1).split('.') : [];
+	};
+
+	// Email rows and bundle DOMs of an email list. Bundle DOMs only match selectors.EMAIL if it's a class selector.
+	const getEmailListRowsSelector = () => {
+		return `${selectors.EMAIL}, .${BUNDLE_CLASS_PREFIX}`;
+	};
+
+	// Candidates may use selectors older browsers don't support, e.g. `:has()`, which then never match rather than throwing
+	const querySelectorCandidate = ($scope, candidate) => {
+		try {
+			return $scope.querySelector(candidate);
+		} catch (error) {
+			return null;
+		}
+	};
+
+	const matchesCandidate = ($element, candidate) => {
+		try {
+			return $element.matches(candidate);
+		} catch (error) {
+			return false;
+		}
+	};
+
+	// Resolve every selector to its first candidate matching the current Gmail layout, recording each selector's health
+	// Returns the keys of required selectors without any matching candidate
+	const checkSelectors = () => {
+		const resolveSelector = (key, $scopes) => {
+			const { candidates, scope, isRequired } = SELECTORS[key];
+			const isMatching = ($scope, candidate) => scope === SELECTOR_SCOPES.ROW ? matchesCandidate($scope, candidate) : !!querySelectorCandidate($scope, candidate);
+			const selector = candidates.find((candidate) => $scopes.some(($scope) => isMatching($scope, candidate)));
+			state.selectorHealth[key] = { selector: selector || null, isRequired };
+			if (selector) {
+				selectors[key] = selector;
+			}
+			return !!selector || !isRequired;
+		};
+
+		// Document scoped selectors first, as we need them to find the emails to resolve email scoped selectors against
+		const selectorKeys = Object.keys(SELECTORS);
+		const missingSelectorKeys = selectorKeys
+			.filter((key) => SELECTORS[key].scope === SELECTOR_SCOPES.DOCUMENT)
+			.filter((key) => !resolveSelector(key, [document]));
+		const $emailTable = document.querySelector(selectors.VISIBLE_EMAIL_TABLE);
+		const $emails = $emailTable ? Array.from($emailTable.querySelectorAll(selectors.EMAIL)) : [];
+		missingSelectorKeys.push(...selectorKeys
+			.filter((key) => SELECTORS[key].scope !== SELECTOR_SCOPES.DOCUMENT)
+			.filter((key) => !resolveSelector(key, $emails)));
+		// Every email row is either read or unread, so a row that's neither means Gmail's read state changed, e.g. every bundle would show as read
+		if ($emails.some(($email) => !$email.matches(selectors.EMAIL_UNREAD) && !$email.matches(selectors.EMAIL_READ))) {
+			missingSelectorKeys.push('EMAIL_UNREAD');
+		}
+		return missingSelectorKeys;
+	};
+
+	// Whether an email list with at least one email row has loaded. An empty email list has nothing to check the email scoped selectors against.
+	const hasLoadedEmails = () => {
+		return SELECTORS.EMAIL.candidates.some((candidate) => !!document.querySelector(`${LAYOUT_PROBE_SELECTOR} ${candidate}`));
+	};
+
+	// Check our selectors against Gmail's layout once an email list with emails has loaded, disabling bundling if the layout changed
+	const checkLayout = () => {
+		if (state.layoutStatus !== LAYOUT_STATUSES.UNCHECKED || !hasLoadedEmails()) {
+			return state.layoutStatus;
+		}
+
+		const missingSelectorKeys = checkSelectors();
+		if (missingSelectorKeys.length) {
+			disableForLayoutChange(missingSelectorKeys);
+		} else {
+			logger.info('Gmail layout supported', state.selectorHealth);
+			state.layoutStatus = LAYOUT_STATUSES.SUPPORTED;
+		}
+		return state.layoutStatus;
+	};
+
+	const disableForLayoutChange = (missingSelectorKeys) => {
+		logger.warn('Bundling disabled, Gmail layout changed. Missing selectors:', missingSelectorKeys);
+		state.layoutStatus = LAYOUT_STATUSES.CHANGED;
+		resetBundles();
+		showLayoutChangedBanner(missingSelectorKeys);
+	};
+
+	const showLayoutChangedBanner = (missingSelectorKeys) => {
+		if (document.getElementById(LAYOUT_CHANGED_BANNER_ID)) {
+			return;
+		}
+
+		const $dismiss = createElement('span', { textContent: '\u2715', title: 'Dismiss', style: 'margin-left: 12px; cursor: pointer;' });
+		const $banner = createElement('div', {
+			id: LAYOUT_CHANGED_BANNER_ID,
+			textContent: 'Gmail Bundles: bundling disabled, Gmail layout changed. Please update the user script.',
+			title: `Missing: ${missingSelectorKeys.join(', ')}`,
+		}, [$dismiss]);
+		$dismiss.addEventListener('click', () => {
+			$banner.remove();
+		});
+		document.body.append($banner);
+	};
+
+	// Parse the Gmail view from the URL hash, e.g. `#label/Work/p2` is { type: 'label', key: 'label/Work/p2' }
+	//  Threads are keyed by the email list they were opened from, e.g. `#inbox/FMfcgx...` is { type: 'thread', key: 'inbox' }
+	const getView = () => {
+		const hashPath = window.location.hash.replace(/^#/, '').split('?')[0] || VIEW_TYPES.INBOX;
+		const segments = hashPath.split('/');
+		const viewName = segments[0];
+		const listSegmentCount = VIEWS_WITH_ARGUMENT.includes(viewName) ? 2 : 1;
+		const lastSegment = segments[segments.length - 1];
+		if (segments.length > listSegmentCount && !VIEW_PAGE_PATTERN.test(lastSegment)) {
+			return { type: VIEW_TYPES.THREAD, key: segments.slice(0, -1).join('/') };
+		}
+
+		let type = VIEW_TYPES.OTHER;
+		if (viewName === 'inbox') {
+			type = VIEW_TYPES.INBOX;
+		} else if (viewName === 'label') {
+			type = VIEW_TYPES.LABEL;
+		} else if (viewName === 'search' || viewName === 'advanced-search') {
+			type = VIEW_TYPES.SEARCH;
+		} else if (viewName === 'category') {
+			type = VIEW_TYPES.CATEGORY;
+		}
+		return { type, key: hashPath };
+	};
+
+	const isBundlingEnabled = () => {
+		return !!state.view && state.view.type !== VIEW_TYPES.THREAD && !!getSetting('enabledViews')[state.view.type];
+	};
+
+	// Remove all bundle DOMs and restore every email we've hidden, in every email list Gmail keeps in the DOM
+	const resetBundles = () => {
+		Object.keys(state.bundlesVisibility).forEach(restoreInlineEmails);
+		Array.from(document.querySelectorAll(`.${BUNDLE_CLASS_PREFIX}`)).forEach(($bundle) => {
+			$bundle.remove();
+		});
+		Array.from(document.querySelectorAll(`.${HIDDEN_EMAIL_CLASS}`)).forEach(($email) => {
+			$email.classList.remove(HIDDEN_EMAIL_CLASS);
+		});
+		Array.from(document.querySelectorAll(`.${IS_BUNDLED_CLASS}`)).forEach(($email) => {
+			$email.classList.remove(IS_BUNDLED_CLASS);
+		});
+		Array.from(document.querySelectorAll(`.${PIN_CONTROL_CLASS}`)).forEach(($pinControl) => {
+			$pinControl.remove();
+		});
+		Array.from(document.querySelectorAll(`.${PINNED_EMAIL_CLASS}`)).forEach(($email) => {
+			$email.classList.remove(PINNED_EMAIL_CLASS);
+		});
+
+		state.bundles = Object.create(null);
+		state.bundlesVisibility = Object.create(null);
+		state.bundlesUnread = Object.create(null);
+		state.bundlesOrder = [];
+		state.heldEmails = [];
+		state.focusedBundleName = null;
+		state.emailsBundleNames = new WeakMap();
+		state.isListBundled = false;
+		state.isUntimedEmailWarned = false;
+		state.seenEmails = { $emails: new WeakSet(), threadIds: new Set(), newestTime: null };
+		state.unreadBadge.mutedCount = 0;
+		renderUnreadBadge();
+	};
+
+	// Keep bundles in sync with the Gmail view. When switching between email lists, e.g. from the inbox to a label,
+	//  reset all bundles and remember which bundle was open, restoring it when switching back to that email list.
+	const syncView = () => {
+		const view = getView();
+		state.view = view;
+		// Gmail hides the email list while a thread is open, keep its bundles as they are for when the thread is closed
+		if (view.type === VIEW_TYPES.THREAD || (state.listView && state.listView.key === view.key)) {
+			return;
+		}
+
+		logger.info('Switched email list', view.type);
+		if (state.listView) {
+			state.viewsOpenBundles[state.listView.key] = getOpenBundleNames();
+			resetBundles();
+			state.bundleNamesToRestore = state.viewsOpenBundles[view.key] || [];
+		}
+		state.listView = view;
+	};
+
+	// Reset and rebundle, keeping open bundles open. Used when settings change how bundles are rendered, e.g. their colors
+	const rerenderBundles = () => {
+		runUntracked(() => {
+			const openBundleNames = getOpenBundleNames();
+			resetBundles();
+			state.bundleNamesToRestore = openBundleNames;
+			runBundlizer();
+		});
+	};
+
+	// Input type=color only accepts hex colors, while Gmail label colors are rgb()
+	const toHexColor = (color) => {
+		if (/^#[0-9a-f]{6}$/i.test(color)) {
+			return color;
+		}
+		const rgbMatch = (color || '').match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+		if (!rgbMatch) {
+			return '#000000';
+		}
+		return `#${rgbMatch.slice(1, 4).map((value) => Number(value).toString(16).padStart(2, '0')).join('')}`;
+	};
+
+	// Parse rgb() & hex colors into [red, green, blue], or null if the color isn't one of those
+	const parseColor = (color) => {
+		const hexMatch = (color || '').match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+		if (hexMatch) {
+			return hexMatch.slice(1, 4).map((value) => parseInt(value, 16));
+		}
+		const rgbMatch = (color || '').match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+		return rgbMatch ? rgbMatch.slice(1, 4).map(Number) : null;
+	};
+
+	// See https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+	const getRelativeLuminance = (rgb) => {
+		const [red, green, blue] = rgb.map((value) => {
+			const channel = value / 255;
+			return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+		});
+		return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+	};
+
+	const getContrastRatio = (rgb, otherRgb) => {
+		const luminances = [getRelativeLuminance(rgb), getRelativeLuminance(otherRgb)].sort((a, b) => b - a);
+		return (luminances[0] + 0.05) / (luminances[1] + 0.05);
+	};
+
+	// Keep the text color if it's readable on the background color, otherwise use black or white, whichever is more readable
+	const getReadableTextColor = (backgroundColor, textColor) => {
+		const backgroundRgb = parseColor(backgroundColor);
+		const textRgb = parseColor(textColor);
+		if (!backgroundRgb || !textRgb || getContrastRatio(backgroundRgb, textRgb) >= MIN_BUNDLE_NAME_CONTRAST) {
+			return textColor;
+		}
+		return getContrastRatio(backgroundRgb, [0, 0, 0]) >= getContrastRatio(backgroundRgb, [255, 255, 255]) ? 'rgb(0, 0, 0)' : 'rgb(255, 255, 255)';
+	};
+
+	const createElement = (tagName, properties, children) => {
+		const $element = document.createElement(tagName);
+		Object.assign($element, properties);
+		(children || []).forEach(($child) => {
+			$element.append($child);
+		});
+		return $element;
+	};
+
+	const createLabeledInput = (labelText, $input) => {
+		return createElement('label', { style: 'display: block; margin: 8px 0;' }, [`${labelText} `, $input]);
 	};
 
-    // TODO: This updates unnecessarily too often because lots of things unrelated to email change based off ALL_EMAIL_TABLE_CLASS. Clean it up!
-    //  Maybe have separate mutation observer checking for updates to ALL_EMAIL_TABLE_CLASS, then that mutation observer starts an observer only if the observed element is an email table?
+	// Every bundle name the user may want to configure: current bundles, labels in the email list, and previously configured bundles
+	const getConfigurableBundleNames = () => {
+		const visibleLabels = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL} ${selectors.EMAIL_LABEL}`))
+			.map(($emailLabel) => $emailLabel.innerText);
+		const bundleNames = [
+			...getSetting('bundleOrder'),
+			...state.bundlesOrder,
+			...visibleLabels,
+			...getSetting('excludedLabels'),
+			...Object.keys(getSetting('bundlePreferences')),
+		];
+		return bundleNames.filter((bundleName, i) => bundleName && bundleNames.indexOf(bundleName) === i);
+	};
+
+	const createSettingsBundleRow = (bundleName) => {
+		const bundle = state.bundles[bundleName];
+		const bundlePreference = getBundlePreference(bundleName);
+		const baseColors = bundle ? getBundleBaseColors(bundle[0], bundleName) : { background: DEFAULT_BUNDLE_BG_COLOR, text: DEFAULT_BUNDLE_TEXT_COLOR };
+		const cellStyle = 'padding: 2px 6px;';
+
+		const $isBundled = createElement('input', { type: 'checkbox', checked: !getSetting('excludedLabels').includes(bundleName), title: 'Bundle emails with this label' });
+		const $displayName = createElement('input', { type: 'text', value: bundlePreference.displayName || '', placeholder: bundleName });
+		const $color = createElement('input', { type: 'color', value: toHexColor(bundlePreference.color || baseColors.background) });
+		const $textColor = createElement('input', { type: 'color', value: toHexColor(bundlePreference.textColor || baseColors.text) });
+		// Only save colors the user changed, so bundles keep following their label's colors otherwise
+		$color.dataset.isChanged = !!bundlePreference.color;
+		$textColor.dataset.isChanged = !!bundlePreference.textColor;
+		$color.addEventListener('input', () => { $color.dataset.isChanged = true; });
+		$textColor.addEventListener('input', () => { $textColor.dataset.isChanged = true; });
+
+		const $resetColors = createElement('button', { type: 'button', textContent: 'Reset colors' });
+		$resetColors.addEventListener('click', () => {
+			$color.value = toHexColor(baseColors.background);
+			$textColor.value = toHexColor(baseColors.text);
+			$color.dataset.isChanged = false;
+			$textColor.dataset.isChanged = false;
+		});
+		const labelPriority = getSetting('labelPriority');
+		const $priority = createElement('input', {
+			type: 'number',
+			min: 1,
+			value: labelPriority.includes(bundleName) ? labelPriority.indexOf(bundleName) + 1 : '',
+			title: 'Used by the priority policy, 1 is the highest priority. Leave blank to rank below all prioritized bundles.',
+			style: 'width: 48px;',
+		});
+		const delivery = bundlePreference.delivery || {};
+		const $deliveryFrequency = createElement('select', {}, [
+			createElement('option', { value: DELIVERY_FREQUENCIES.IMMEDIATELY, textContent: 'Immediately' }),
+			createElement('option', { value: DELIVERY_FREQUENCIES.DAILY, textContent: 'Daily' }),
+			createElement('option', { value: DELIVERY_FREQUENCIES.WEEKLY, textContent: 'Weekly' }),
+		]);
+		$deliveryFrequency.value = delivery.frequency || DELIVERY_FREQUENCIES.IMMEDIATELY;
+		const $deliveryDay = createElement('select', {}, DELIVERY_DAY_NAMES.map((dayName, day) => {
+			return createElement('option', { value: day, textContent: dayName, selected: day === (delivery.day || 0) });
+		}));
+		const $deliveryTime = createElement('input', { type: 'time', value: delivery.time || DEFAULT_DELIVERY_TIME });
+		const updateDeliveryInputs = () => {
+			$deliveryDay.disabled = $deliveryFrequency.value !== DELIVERY_FREQUENCIES.WEEKLY;
+			$deliveryTime.disabled = $deliveryFrequency.value === DELIVERY_FREQUENCIES.IMMEDIATELY;
+		};
+		updateDeliveryInputs();
+		$deliveryFrequency.addEventListener('change', updateDeliveryInputs);
+		const $notification = createElement('select', {
+			title: 'When a new unread email joins the bundle. Badge counts unread emails in the tab title & icon. Default follows the parent bundle of nested labels.',
+		}, [
+			createElement('option', { value: '', textContent: 'Default' }),
+			...Object.values(NOTIFICATION_POLICIES).map((notificationPolicy) => {
+				return createElement('option', { value: notificationPolicy, textContent: NOTIFICATION_POLICY_NAMES[notificationPolicy] });
+			}),
+		]);
+		$notification.value = bundlePreference.notification || '';
+		const $moveUp = createElement('button', { type: 'button', textContent: '\u25B2', title: 'Move up' });
+		const $moveDown = createElement('button', { type: 'button', textContent: '\u25BC', title: 'Move down' });
+
+		const $row = createElement('tr', {}, [
+			createElement('td', { style: cellStyle }, [$isBundled]),
+			createElement('td', { style: cellStyle, textContent: bundleName }),
+			createElement('td', { style: cellStyle }, [$displayName]),
+			createElement('td', { style: cellStyle }, [$color, $textColor, $resetColors]),
+			createElement('td', { style: cellStyle }, [$priority]),
+			createElement('td', { style: cellStyle }, [$deliveryFrequency, $deliveryDay, $deliveryTime]),
+			createElement('td', { style: cellStyle }, [$notification]),
+			createElement('td', { style: cellStyle }, [$moveUp, $moveDown]),
+		]);
+		$row.dataset.bundlename = bundleName;
+		$moveUp.addEventListener('click', () => {
+			if ($row.previousElementSibling) {
+				$row.parentElement.insertBefore($row, $row.previousElementSibling);
+			}
+		});
+		$moveDown.addEventListener('click', () => {
+			if ($row.nextElementSibling) {
+				$row.parentElement.insertBefore($row.nextElementSibling, $row);
+			}
+		});
+
+		// Returns this row's settings, applied by the settings panel on save
+		$row.getBundleSettings = () => {
+			const preference = {};
+			if ($displayName.value.trim()) {
+				preference.displayName = $displayName.value.trim();
+			}
+			if ($color.dataset.isChanged === 'true') {
+				preference.color = $color.value;
+			}
+			if ($textColor.dataset.isChanged === 'true') {
+				preference.textColor = $textColor.value;
+			}
+			if ($deliveryFrequency.value !== DELIVERY_FREQUENCIES.IMMEDIATELY) {
+				preference.delivery = { frequency: $deliveryFrequency.value, time: $deliveryTime.value || DEFAULT_DELIVERY_TIME };
+				if ($deliveryFrequency.value === DELIVERY_FREQUENCIES.WEEKLY) {
+					preference.delivery.day = parseInt($deliveryDay.value, 10);
+				}
+			}
+			if ($notification.value) {
+				preference.notification = $notification.value;
+			}
+			const priority = parseInt($priority.value, 10);
+			return { bundleName, isBundled: $isBundled.checked, preference, priority: priority > 0 ? priority : null };
+		};
+		return $row;
+	};
+
+	const closeSettingsPanel = () => {
+		const $settingsPanel = document.getElementById(SETTINGS_PANEL_ID);
+		if ($settingsPanel) {
+			$settingsPanel.remove();
+		}
+	};
+
+	const openSettingsPanel = () => {
+		closeSettingsPanel();
+
+		const $bundleMode = createElement('select', {}, Object.values(BUNDLE_MODES).map((bundleMode) => {
+			return createElement('option', { value: bundleMode, textContent: bundleMode, selected: bundleMode === getSetting('bundleMode') });
+		}));
+		const $maxSenders = createElement('input', { type: 'number', min: 0, max: SETTINGS_MAX_SENDERS_LIMIT, value: getSetting('maxSenders') });
+		const $bundleOrderMode = createElement('select', {}, [
+			createElement('option', { value: BUNDLE_ORDER_MODES.NEWEST, textContent: 'At their most recent email', selected: getSetting('bundleOrderMode') === BUNDLE_ORDER_MODES.NEWEST }),
+			createElement('option', { value: BUNDLE_ORDER_MODES.CUSTOM, textContent: 'At the top, in the order below', selected: getSetting('bundleOrderMode') === BUNDLE_ORDER_MODES.CUSTOM }),
+		]);
+		const $multipleLabelsPolicy = createElement('select', {}, [
+			createElement('option', { value: MULTIPLE_LABELS_POLICIES.ALL, textContent: 'Add to every matching bundle' }),
+			createElement('option', { value: MULTIPLE_LABELS_POLICIES.FIRST, textContent: 'Add to the bundle of the first label only' }),
+			createElement('option', { value: MULTIPLE_LABELS_POLICIES.PRIORITY, textContent: 'Add to the highest priority bundle only' }),
+		]);
+		$multipleLabelsPolicy.value = getSetting('multipleLabelsPolicy');
+		const $openMode = createElement('select', {}, [
+			createElement('option', { value: BUNDLE_OPEN_MODES.FOCUS, textContent: 'One at a time, hiding other emails' }),
+			createElement('option', { value: BUNDLE_OPEN_MODES.INLINE, textContent: 'In place, several at a time' }),
+		]);
+		$openMode.value = getSetting('openMode');
+		const $hierarchicalBundles = createElement('input', { type: 'checkbox', checked: isHierarchicalMode() });
+		const $enabledViews = Object.keys(VIEW_TYPE_NAMES).map((viewType) => {
+			const $isViewEnabled = createElement('input', { type: 'checkbox', checked: !!getSetting('enabledViews')[viewType] });
+			$isViewEnabled.dataset.viewType = viewType;
+			return $isViewEnabled;
+		});
+		const $smartBundles = SMART_BUNDLES.map((smartBundle) => {
+			const $isSmartBundleEnabled = createElement('input', { type: 'checkbox', checked: getSetting('smartBundles').includes(smartBundle.bundle) });
+			$isSmartBundleEnabled.dataset.bundlename = smartBundle.bundle;
+			return $isSmartBundleEnabled;
+		});
+		const $bundleRules = createElement('textarea', {
+			value: JSON.stringify(getSetting('bundleRules'), null, 2),
+			placeholder: '[{ "bundle": "Billing", "subject": { "pattern": "\\\\b(invoice|receipt)\\\\b", "flags": "i" } }]',
+			style: 'display: block; width: 100%; height: 96px; margin-top: 4px; font-family: monospace;',
+		});
+		const $bundleRulesStatus = createElement('span', { style: 'margin-left: 8px;' });
+		const $bundleRows = createElement('tbody', {}, getConfigurableBundleNames().map(createSettingsBundleRow));
+		const $bundlesTable = createElement('table', { style: 'border-collapse: collapse; margin: 8px 0;' }, [
+			createElement('thead', {}, [createElement('tr', {}, ['Bundle', 'Label', 'Display name', 'Colors', 'Priority', 'Delivery', 'New emails', 'Order'].map((heading) => {
+				return createElement('th', { textContent: heading, style: 'padding: 2px 6px; text-align: left;' });
+			}))]),
+			$bundleRows,
+		]);
+
+		const $debugMode = createElement('input', { type: 'checkbox', checked: isDebugMode() });
+		const $copyDiagnostics = createElement('button', { type: 'button', textContent: 'Copy diagnostics', title: 'Copy bundle names, counts and state, without email contents, to attach to bug reports' });
+		const $diagnosticsStatus = createElement('span', { style: 'margin-left: 8px;' });
+		const $troubleshooting = createElement('div', { style: 'margin: 8px 0;' }, [
+			createElement('label', { style: 'margin-right: 12px;' }, [$debugMode, ' Debug logging to the browser console']),
+			$copyDiagnostics,
+			$diagnosticsStatus,
+		]);
+		$copyDiagnostics.addEventListener('click', () => {
+			writeDiagnosticsToClipboard().then(() => {
+				$diagnosticsStatus.textContent = 'Copied';
+			}).catch((error) => {
+				// The clipboard may be unavailable, e.g. without focus, so the diagnostics can be copied by hand instead
+				logger.warn('Unable to copy diagnostics', error);
+				$diagnosticsStatus.textContent = 'Copy the diagnostics below';
+				$troubleshooting.append(createElement('textarea', {
+					readOnly: true,
+					value: JSON.stringify(getDiagnostics(), null, 2),
+					style: 'display: block; width: 100%; height: 160px; margin-top: 8px;',
+				}));
+			});
+		});
+
+		const $save = createElement('button', { type: 'button', textContent: 'Save' });
+		const $cancel = createElement('button', { type: 'button', textContent: 'Cancel' });
+		$cancel.addEventListener('click', closeSettingsPanel);
+		$save.addEventListener('click', () => {
+			// Nothing is saved until the rules are valid, so that a typo can be fixed without losing the rest of the changes
+			let bundleRules;
+			try {
+				bundleRules = JSON.parse($bundleRules.value.trim() || '[]');
+			} catch (error) {
+				$bundleRulesStatus.textContent = `Not saved, the rules aren't valid JSON: ${error.message}`;
+				return;
+			}
+			if (!Array.isArray(bundleRules)) {
+				$bundleRulesStatus.textContent = 'Not saved, the rules must be a list, e.g. [{ "bundle": "Billing", "subject": "invoice" }]';
+				return;
+			}
+
+			const bundlesSettings = Array.from($bundleRows.children).map(($row) => $row.getBundleSettings());
+			const bundlePreferences = Object.create(null);
+			bundlesSettings.forEach((bundleSettings) => {
+				if (Object.keys(bundleSettings.preference).length) {
+					bundlePreferences[bundleSettings.bundleName] = bundleSettings.preference;
+				}
+			});
+
+			setSetting('bundleMode', $bundleMode.value);
+			setSetting('maxSenders', Math.max(0, Math.min(SETTINGS_MAX_SENDERS_LIMIT, parseInt($maxSenders.value, 10) || 0)));
+			setSetting('bundleOrderMode', $bundleOrderMode.value);
+			setSetting('bundleOrder', bundlesSettings.map((bundleSettings) => bundleSettings.bundleName));
+			setSetting('excludedLabels', bundlesSettings.filter((bundleSettings) => !bundleSettings.isBundled).map((bundleSettings) => bundleSettings.bundleName));
+			setSetting('bundlePreferences', bundlePreferences);
+			setSetting('multipleLabelsPolicy', $multipleLabelsPolicy.value);
+			setSetting('openMode', $openMode.value);
+			setSetting('hierarchicalBundles', $hierarchicalBundles.checked);
+			setSetting('bundleRules', bundleRules);
+			setDebugMode($debugMode.checked);
+			const enabledViews = {};
+			$enabledViews.forEach(($isViewEnabled) => {
+				enabledViews[$isViewEnabled.dataset.viewType] = $isViewEnabled.checked;
+			});
+			setSetting('enabledViews', enabledViews);
+			setSetting('smartBundles', $smartBundles
+				.filter(($isSmartBundleEnabled) => $isSmartBundleEnabled.checked)
+				.map(($isSmartBundleEnabled) => $isSmartBundleEnabled.dataset.bundlename));
+			setSetting('labelPriority', bundlesSettings
+				.filter((bundleSettings) => bundleSettings.priority)
+				.sort((a, b) => a.priority - b.priority)
+				.map((bundleSettings) => bundleSettings.bundleName));
+			// Browsers only ask for permission in response to a click
+			const isNotifying = Object.values(bundlePreferences).some((preference) => preference.notification === NOTIFICATION_POLICIES.NOTIFY);
+			if (isNotifying && 'Notification' in window && Notification.permission === 'default') {
+				Notification.requestPermission();
+			}
+			closeSettingsPanel();
+			rerenderBundles();
+		});
+
+		document.body.append(createElement('div', { id: SETTINGS_PANEL_ID }, [
+			createElement('h2', { textContent: 'Bundle settings', style: 'margin: 0 0 8px;' }),
+			createLabeledInput('Bundle emails by', $bundleMode),
+			createLabeledInput('Senders shown per bundle', $maxSenders),
+			createLabeledInput('Place bundles', $bundleOrderMode),
+			createLabeledInput('Emails with multiple labels', $multipleLabelsPolicy),
+			createLabeledInput('Open bundles', $openMode),
+			createLabeledInput(`Bundle nested labels, e.g. Work${BUNDLE_HIERARCHY_SEPARATOR}Project-A, in their parent bundle`, $hierarchicalBundles),
+			createElement('div', { style: 'margin: 8px 0;' }, ['Bundle emails in: ', ...$enabledViews.map(($isViewEnabled) => {
+				return createElement('label', { style: 'margin-right: 12px;' }, [$isViewEnabled, ` ${VIEW_TYPE_NAMES[$isViewEnabled.dataset.viewType]}`]);
+			})]),
+			createElement('div', { style: 'margin: 8px 0;' }, ['Smart bundles for emails without labels: ', ...$smartBundles.map(($isSmartBundleEnabled) => {
+				return createElement('label', { style: 'margin-right: 12px;' }, [$isSmartBundleEnabled, ` ${$isSmartBundleEnabled.dataset.bundlename}`]);
+			})]),
+			createElement('div', { style: 'margin: 8px 0;' }, ['Bundle rules, applied after BUNDLE_RULES in the user script:', $bundleRulesStatus, $bundleRules]),
+			$bundlesTable,
+			$troubleshooting,
+			createElement('div', { style: 'text-align: right;' }, [$cancel, ' ', $save]),
+		]));
+	};
+
+	// Gear entry opening the settings panel, kept outside of the email list so it's reachable even if no bundles are shown
+	const insertSettingsButton = () => {
+		if (document.getElementById(SETTINGS_BUTTON_ID)) {
+			return;
+		}
+
+		const $settingsButton = createElement('div', {
+			id: SETTINGS_BUTTON_ID,
+			textContent: '\u2699',
+			title: 'Bundle settings',
+		});
+		$settingsButton.addEventListener('click', openSettingsPanel);
+		document.body.append($settingsButton);
+	};
+
+	const focusBundle = (bundleName) => {
+		const previousFocusedBundleName = state.focusedBundleName;
+		state.focusedBundleName = bundleName;
+		if (previousFocusedBundleName && state.bundles[previousFocusedBundleName]) {
+			updateBundleDom(previousFocusedBundleName);
+		}
+		if (bundleName) {
+			updateBundleDom(bundleName);
+			getBundleDom(bundleName).scrollIntoView({ block: 'nearest' });
+		}
+	};
+
+	// Gmail moves its own keyboard cursor & selection on clicks, e.g. on an email's checkbox, so clicks outside of bundles end bundle focus
+	//  Our own simulated clicks, e.g. selecting a bundle's emails, aren't trusted and keep the focus
+	const onDocumentClick = (event) => {
+		if (!event.isTrusted || !state.focusedBundleName || isBundleNode(event.target)) {
+			return;
+		}
+		runUntracked(() => {
+			focusBundle(null);
+		});
+	};
+
+	// Whether emails outside of the bundle are selected, e.g. the user checked emails after focusing the bundle
+	const isSelectingOtherEmails = (bundleName) => {
+		return Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`))
+			.some(($email) => isEmailSelected($email) && !state.bundles[bundleName].includes($email));
+	};
+
+	const isTypingTarget = ($target) => {
+		return $target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes($target.tagName);
+	};
+
+	// Gmail's j/k shortcuts skip our bundle DOMs, as they aren't real email rows. So we step onto bundles ourselves,
+	//  and let Gmail handle the shortcut when stepping onto one of its own email rows.
+	// Returns `true` if we handled the navigation.
+	const navigateRows = (step) => {
+		const $rows = Array.from(document.querySelector(selectors.VISIBLE_EMAIL_TABLE).querySelectorAll(getEmailListRowsSelector()))
+			.filter(($row) => $row.offsetParent !== null);
+		const $focusedBundle = state.focusedBundleName && getBundleDom(state.focusedBundleName);
+		const $currentRow = $focusedBundle || $rows.find(($row) => $row.matches(selectors.EMAIL_KEYBOARD_CURSOR));
+		if (!$currentRow) { // Gmail places its cursor itself on the first key press
+			return false;
+		}
+		const $targetRow = $rows[$rows.indexOf($currentRow) + step];
+		if (!$targetRow) {
+			return !!$focusedBundle; // Stay on the first/last bundle rather than letting Gmail move its hidden cursor
+		}
+
+		if ($targetRow.classList.contains(BUNDLE_CLASS_PREFIX)) {
+			focusBundle($targetRow.getAttribute('data-bundlename'));
+			return true;
+		}
+		// Gmail's cursor is still on the email row adjacent to the bundle, which is often an email we've hidden, so we move it onto the target row
+		focusBundle(null);
+		return moveGmailCursor($targetRow);
+	};
+
+	// Move Gmail's keyboard cursor onto an email row by pressing Gmail's own shortcuts, as Gmail's cursor also stops on emails we've hidden
+	//  Returns `false` if Gmail's cursor didn't move, leaving it to Gmail's handling of the user's key press
+	const moveGmailCursor = ($targetEmail) => {
+		const $emails = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`));
+		const getCursorIndex = () => $emails.findIndex(($email) => $email.matches(selectors.EMAIL_KEYBOARD_CURSOR));
+		const targetIndex = $emails.indexOf($targetEmail);
+		if (targetIndex === -1) {
+			return false;
+		}
+		const initialCursorIndex = getCursorIndex();
+		for (let i = 0; i < $emails.length && getCursorIndex() !== targetIndex; i++) {
+			const cursorIndex = getCursorIndex();
+			simulateKeyPress(cursorIndex < targetIndex ? KEYBOARD_SHORTCUTS.NEXT[0] : KEYBOARD_SHORTCUTS.PREVIOUS[0]);
+			if (getCursorIndex() === cursorIndex) { // Gmail ignored the key press
+				break;
+			}
+		}
+		return getCursorIndex() !== initialCursorIndex;
+	};
+
+	const onKeyDown = (event) => {
+		if (!event.isTrusted || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+			return;
+		}
+		if (!document.querySelector(selectors.VISIBLE_EMAIL_TABLE)) { // If we're not on an email list page
+			return;
+		}
+
+		runUntracked(() => {
+			handleKeyDown(event);
+		});
+	};
+
+	const handleKeyDown = (event) => {
+		const bundleName = state.focusedBundleName && state.bundles[state.focusedBundleName] ? state.focusedBundleName : null;
+		const bundleAction = Object.values(BUNDLE_ACTIONS).find((_bundleAction) => _bundleAction.key === event.key);
+		let isHandled = false;
+		if (KEYBOARD_SHORTCUTS.NEXT.includes(event.key)) {
+			isHandled = navigateRows(1);
+		} else if (KEYBOARD_SHORTCUTS.PREVIOUS.includes(event.key)) {
+			isHandled = navigateRows(-1);
+		} else if (KEYBOARD_SHORTCUTS.CLOSE.includes(event.key) && getVisibleBundleName()
+			&& (bundleName || (event.target instanceof Element && !!event.target.closest(selectors.VISIBLE_EMAIL_TABLE)))) {
+			// Close the open bundle, back to the email list, keeping focus on the bundle we closed
+			//  If several bundles are open, close the focused one if it's open
+			// Only while a bundle or the email list has focus, so Gmail's menus & dialogs still close on Escape
+			const visibleBundleName = bundleName && state.bundlesVisibility[bundleName] ? bundleName : getVisibleBundleName();
+			onBundleClick(null, visibleBundleName);
+			focusBundle(visibleBundleName);
+			isHandled = true;
+		} else if (!bundleName) {
+			return;
+		} else if ((bundleAction || KEYBOARD_SHORTCUTS.SELECT.includes(event.key)) && isSelectingOtherEmails(bundleName)) {
+			// Gmail's own shortcuts act on the user's selection, rather than us replacing it with the bundle's emails
+			focusBundle(null);
+			return;
+		} else if (KEYBOARD_SHORTCUTS.TOGGLE.includes(event.key)) {
+			onBundleClick(null, bundleName);
+			isHandled = true;
+		} else if (KEYBOARD_SHORTCUTS.SELECT.includes(event.key)) {
+			const bundle = state.bundles[bundleName];
+			selectEmails(bundle.every(isEmailSelected) ? [] : bundle);
+			isHandled = true;
+		} else if (bundleAction) {
+			runBundleAction(bundleName, bundleAction);
+			isHandled = true;
+		}
+
+		if (isHandled) {
+			// Keep Gmail from also acting on its own keyboard cursor row
+			event.preventDefault();
+			event.stopImmediatePropagation();
+		}
+	};
+
+	// Call a function registered by another script, so that its errors never break bundling
+	const callExtension = (fn, ...args) => {
+		try {
+			return fn(...args);
+		} catch (error) {
+			logger.error('Extension failed', error);
+			return undefined;
+		}
+	};
+
+	// Public, read-only snapshot of a bundle, passed to other scripts
+	const getBundleInfo = (bundleName) => {
+		const bundle = state.bundles[bundleName] || [];
+		return {
+			name: bundleName,
+			displayName: getBundleDisplayName(bundleName),
+			count: bundle.length,
+			unreadCount: bundle.filter(isEmailUnread).length,
+			isUnread: !!state.bundlesUnread[bundleName],
+			isOpen: !!state.bundlesVisibility[bundleName],
+			$emails: [...bundle],
+		};
+	};
+
+	const emitBundleEvent = (eventName, bundleName) => {
+		const bundleInfo = getBundleInfo(bundleName);
+		(state.eventListeners[eventName] || []).forEach((listener) => {
+			callExtension(listener, bundleInfo);
+		});
+	};
+
+	const isDebugMode = () => {
+		return state.logLevel === DEBUG_LOG_LEVEL;
+	};
+
+	// Debug mode logs everything the bundlizer does, and keeps those log entries for diagnostics
+	const setDebugMode = (isDebug) => {
+		state.logLevel = isDebug ? DEBUG_LOG_LEVEL : DEFAULT_LOG_LEVEL;
+		try {
+			window.localStorage.setItem(LOG_LEVEL_STORAGE_KEY, state.logLevel);
+		} catch (error) {
+			logger.warn('Unable to save log level', error);
+		}
+	};
+
+	// Search queries may contain email contents, so only the view type is kept of search views,
+	//  including threads opened from a search, whose key is the search they were opened from
+	const redactView = (view) => {
+		const viewName = view && view.key.split('/')[0];
+		return viewName === 'search' || viewName === 'advanced-search' ? { type: view.type, key: `${viewName}/[redacted]` } : view;
+	};
+
+	// Snapshot of the bundlizer's state to attach to bug reports. It only includes bundle & label names, never email contents,
+	//  i.e. no senders, subjects, snippets, dates or thread IDs.
+	const getDiagnostics = () => {
+		const $emails = Array.from(document.querySelectorAll(`${selectors.VISIBLE_EMAIL_TABLE} ${selectors.EMAIL}:not(.${BUNDLE_CLASS_PREFIX})`));
+		// Rules may name senders and subjects, so only their bundle names are included
+		const { pinnedThreads, bundleRules, ...diagnosticSettings } = settings;
+		return {
+			scriptVersion: typeof GM_info !== 'undefined' ? GM_info.script.version : null,
+			time: new Date().toISOString(),
+			userAgent: window.navigator.userAgent,
+			view: redactView(state.view),
+			listView: redactView(state.listView),
+			isBundlingEnabled: isBundlingEnabled(),
+			layoutStatus: state.layoutStatus,
+			selectorHealth: state.selectorHealth,
+			hasBundleTemplate: !!state.$bundleTemplate,
+			settings: Object.assign(diagnosticSettings, {
+				pinnedThreadCount: pinnedThreads.length,
+				bundleRuleNames: [].concat(bundleRules || []).map((rule) => rule && rule.bundle),
+			}),
+			emails: {
+				count: $emails.length,
+				hiddenCount: $emails.filter(($email) => $email.classList.contains(HIDDEN_EMAIL_CLASS)).length,
+				bundledCount: $emails.filter(($email) => $email.classList.contains(IS_BUNDLED_CLASS)).length,
+				heldCount: state.heldEmails.length,
+				inlineCount: state.inlineEmails.size,
+			},
+			bundles: state.bundlesOrder.map((bundleName) => {
+				const bundleInfo = getBundleInfo(bundleName);
+				return {
+					name: bundleName,
+					count: bundleInfo.count,
+					unreadCount: bundleInfo.unreadCount,
+					isUnread: bundleInfo.isUnread,
+					isOpen: bundleInfo.isOpen,
+					isInDom: isBundleInDom(bundleName),
+					notificationPolicy: getNotificationPolicy(bundleName),
+				};
+			}),
+			bundlesOrder: [...state.bundlesOrder],
+			bundleNamesToRestore: [...state.bundleNamesToRestore],
+			focusedBundleName: state.focusedBundleName,
+			unreadBadgeCount: state.unreadBadge.count,
+			extensions: {
+				classifiers: state.classifiers.length,
+				renderers: state.renderers.length,
+				eventListeners: Object.keys(state.eventListeners).reduce((eventListenerCounts, eventName) => {
+					return Object.assign(eventListenerCounts, { [eventName]: state.eventListeners[eventName].length });
+				}, {}),
+			},
+			stats: Object.assign({}, state.stats),
+			logLevel: state.logLevel,
+			log: [...state.logEntries],
+		};
+	};
+
+	// Copy diagnostics to the clipboard as JSON. Returns a promise of the copied JSON, rejected if the clipboard is unavailable.
+	const writeDiagnosticsToClipboard = () => {
+		const diagnostics = JSON.stringify(getDiagnostics(), null, 2);
+		return Promise.resolve()
+			.then(() => window.navigator.clipboard.writeText(diagnostics))
+			.then(() => diagnostics);
+	};
+
+	// Called from the browser console, the page isn't focused so browsers refuse clipboard access,
+	//  in which case the promise resolves to the JSON for copying by hand rather than rejecting
+	const copyDiagnostics = () => {
+		return writeDiagnosticsToClipboard().catch((error) => {
+			logger.warn('Unable to copy diagnostics, returning them instead', error);
+			return JSON.stringify(getDiagnostics(), null, 2);
+		});
+	};
+
+	// Opens or closes a bundle from another script, returns `true` if the bundle exists
+	const setBundleOpen = (bundleName, isOpen) => {
+		if (!state.bundles[bundleName]) {
+			return false;
+		}
+		if (!!state.bundlesVisibility[bundleName] !== isOpen) {
+			runUntracked(() => {
+				onBundleClick(null, bundleName);
+			});
+		}
+		return true;
+	};
+
+	// API for other userscripts, exposed as `window.GmailBundles`
+	//  Classifiers are called with an email row and return a bundle name, an array of bundle names, or nothing
+	//  Renderers are called with a bundle DOM and its bundle info whenever the bundle DOM is updated
+	//  Listeners are called with the bundle info of the bundle an event is emitted for, see BUNDLE_EVENTS
+	const api = Object.freeze({
+		EVENTS: BUNDLE_EVENTS,
+		getBundles: () => state.bundlesOrder.map(getBundleInfo),
+		getBundle: (bundleName) => state.bundles[bundleName] ? getBundleInfo(bundleName) : null,
+		getBundleOrder: () => [...state.bundlesOrder],
+		getOpenBundle: () => getVisibleBundleName() || null,
+		getOpenBundles: () => getOpenBundleNames(),
+		getStats: () => Object.assign({}, state.stats),
+		getDiagnostics,
+		copyDiagnostics,
+		setDebug: (isDebug) => setDebugMode(!!isDebug),
+		openBundle: (bundleName) => setBundleOpen(bundleName, true),
+		closeBundle: (bundleName) => setBundleOpen(bundleName || getVisibleBundleName(), false),
+		registerClassifier: (classifier) => {
+			state.classifiers.push(classifier);
+			rerenderBundles();
+			return () => {
+				state.classifiers = state.classifiers.filter((_classifier) => _classifier !== classifier);
+				rerenderBundles();
+			};
+		},
+		registerRenderer: (renderer) => {
+			state.renderers.push(renderer);
+			rerenderBundles();
+			return () => {
+				state.renderers = state.renderers.filter((_renderer) => _renderer !== renderer);
+				rerenderBundles();
+			};
+		},
+		on: (eventName, listener) => {
+			state.eventListeners[eventName] = [...(state.eventListeners[eventName] || []), listener];
+			return () => api.off(eventName, listener);
+		},
+		off: (eventName, listener) => {
+			state.eventListeners[eventName] = (state.eventListeners[eventName] || []).filter((_listener) => _listener !== listener);
+		},
+	});
+
+    // Mutations unrelated to emails within the ALL_EMAIL_TABLE selector are filtered out by summarizeMutations, and our own by runUntracked
     const init = () => {
         const loadingNode = document.querySelector(LOADING_CLASS);
         // Note: TamperMonkey appears to call `init` multiple times, sometimes when the body only contains script tags and no loading tag. Odd.
@@ -497,13 +3287,42 @@ Plan Notes:
         }
         const loadingObserver = new MutationObserver((m) => {
             // When we're done loading, the bundlizer node - all our emails - should exist
-            const bundlizerNode = document.querySelector(ALL_EMAIL_TABLE_CLASS);
-            // Debounce to ensure we don't call runBundlizer unnecessarily often, noteably when we call updateBundleDom
-            const bundlizerObserver = new MutationObserver(debounce(runBundlizer, BUNDLE_UPDATE_DELAY));
-            bundlizerObserver.observe(bundlizerNode, { childList: true, subtree: true });
+            // Resolved here rather than in checkLayout, as we need to observe it before any email list has loaded.
+            //  Until one of its candidates matches, we keep waiting rather than observing the whole page.
+            const bundlizerNode = SELECTORS.ALL_EMAIL_TABLE.candidates.map((candidate) => querySelectorCandidate(document, candidate)).find(($node) => !!$node);
+            if (state.bundlizerObserver) {
+                return;
+            }
+            if (!bundlizerNode) {
+                // Gmail hides its loading screen once it's done loading, so none of the candidates will match anymore
+                if (window.getComputedStyle(loadingNode).display === 'none') {
+                    loadingObserver.disconnect();
+                    state.selectorHealth.ALL_EMAIL_TABLE = { selector: null, isRequired: true };
+                    disableForLayoutChange(['ALL_EMAIL_TABLE']);
+                }
+                return;
+            }
+            loadingObserver.disconnect();
+            state.bundlizerObserver = new MutationObserver(onBundlizerMutations);
+            state.bundlizerObserver.observe(bundlizerNode, BUNDLIZER_OBSERVER_OPTIONS);
+            insertStylesheet();
+            insertSettingsButton();
+            observeHead();
             runBundlizer();
         });
         loadingObserver.observe(loadingNode, { childList: true, subtree: true, attributes: true });
+        // Capture phase, so we handle shortcuts on focused bundles before Gmail does
+        document.addEventListener('keydown', onKeyDown, true);
+        document.addEventListener('click', onDocumentClick, true);
+        window.addEventListener('hashchange', () => runBundlizer());
+        setInterval(checkDeliveries, DELIVERY_CHECK_INTERVAL);
+        Object.defineProperty(window, 'GmailBundlesStats', {
+            get: () => Object.assign({}, state.stats),
+            configurable: true,
+        });
+        window.GmailBundles = api;
+        window.dispatchEvent(new CustomEvent('GmailBundles:ready', { detail: api })); // For scripts that ran before us
+        state.bundleNamesToRestore = [...getSetting('lastOpenBundles')];
     };
     init();
 })();